@@ -0,0 +1,67 @@
+// Stack: AnalyserNode level meter with a hysteresis gate that decides when an audio source is speaking.
+
+// Speech starts once the level reaches the start threshold and only ends after it has stayed
+// STOP_GAP_DB under it for HOLD_MS, so the gate does not flicker between words or on a click.
+export const DEFAULT_START_DB = -45;
+const STOP_GAP_DB = 10;
+const HOLD_MS = 300;
+export const SILENCE_DB = -100;
+
+/**
+ * Taps `source` (without routing it anywhere audible) and measures it whenever `sample()` is
+ * called, typically once per frame. `level` is the latest RMS level in dBFS and `speaking` the
+ * gated result.
+ */
+export function createVoiceActivityDetector(
+  audioContext,
+  source,
+  { startDb = DEFAULT_START_DB, holdMs = HOLD_MS } = {}
+) {
+  const analyser = audioContext.createAnalyser();
+  analyser.fftSize = 512;
+  source.connect(analyser);
+  const samples = new Float32Array(analyser.fftSize);
+  let stopDb = startDb - STOP_GAP_DB;
+  let lastLoudAt = -Infinity;
+
+  const detector = {
+    level: SILENCE_DB,
+    speaking: false,
+
+    /**
+     * Reads the analyser and updates `level` and `speaking`. Returns true if `speaking` changed.
+     */
+    sample(now = performance.now()) {
+      analyser.getFloatTimeDomainData(samples);
+      let sum = 0;
+      for (let i = 0; i < samples.length; i += 1) {
+        sum += samples[i] * samples[i];
+      }
+      const rms = Math.sqrt(sum / samples.length);
+      detector.level = rms > 0 ? Math.max(SILENCE_DB, 20 * Math.log10(rms)) : SILENCE_DB;
+      if (detector.level >= (detector.speaking ? stopDb : startDb)) {
+        lastLoudAt = now;
+      }
+      const speaking = now - lastLoudAt < holdMs;
+      if (speaking === detector.speaking) {
+        return false;
+      }
+      detector.speaking = speaking;
+      return true;
+    },
+
+    /**
+     * Moves the start threshold (dBFS); the stop threshold follows it.
+     */
+    setThreshold(db) {
+      startDb = db;
+      stopDb = db - STOP_GAP_DB;
+    },
+
+    disconnect() {
+      source.disconnect(analyser);
+      analyser.disconnect();
+    }
+  };
+  return detector;
+}
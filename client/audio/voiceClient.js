@@ -1,5 +1,19 @@
 // Stack: WebRTC peer mesh with Web Audio spatialisation per remote participant.
 import * as THREE from 'three';
+import { DEFAULT_START_DB, SILENCE_DB, createVoiceActivityDetector } from './voiceActivity.js';
+
+// Time constant for fading a peer's voice when they cross the interest radius.
+const INTEREST_FADE_SECONDS = 0.2;
+// ICE restarts on a broken link are spaced 1, 2, 4, 8 and 16 s apart; if it is still down after
+// the last one the peer is given up as failed. A merely 'disconnected' link often recovers by
+// itself, so it gets a grace period first.
+const ICE_RESTART_BASE_DELAY_MS = 1000;
+const MAX_ICE_RESTARTS = 5;
+const DISCONNECTED_GRACE_MS = 3000;
+
+// How the mic decides when to send: always, while a key is held, or while the gate hears speech.
+export const INPUT_MODES = ['open', 'push-to-talk', 'voice-activation'];
+export const DEFAULT_ACTIVATION_DB = DEFAULT_START_DB;
 
 const RTC_CONFIG = {
   iceServers: [
@@ -8,6 +22,14 @@ const RTC_CONFIG = {
   ]
 };
 
+/**
+ * Dispatches `peer-status` with `{ id, status }` as a voice link moves between 'connecting',
+ * 'connected', 'retrying' and 'failed'.
+ * Dispatches `speaking-changed` with `{ id, speaking }` whenever a remote peer or the local mic
+ * (reported under our own player id) starts or stops talking; levels are sampled in update().
+ * The local mic only counts as speaking while it is actually being sent, which
+ * `transmit-changed` reports on its own.
+ */
 export class VoiceClient extends EventTarget {
   constructor(network, remotePlayers) {
     super();
@@ -15,6 +37,20 @@ export class VoiceClient extends EventTarget {
     this.remotePlayers = remotePlayers;
     this.audioContext = null;
     this.localStream = null;
+    this.localActivity = null;
+    this.meterStream = null;
+    this.meterSource = null;
+    this.micTest = null;
+    // The microphone asked for, kept even while an unplugged one falls back to the default.
+    this.inputDeviceId = null;
+    this.inputSwitch = Promise.resolve();
+    this.inputSwitchSeq = 0;
+    this.outputDeviceId = null;
+    this.localSpeaking = false;
+    this.inputMode = 'open';
+    this.activationThreshold = DEFAULT_ACTIVATION_DB;
+    this.pushToTalkActive = false;
+    this.transmitting = false;
     this.peers = new Map();
     this.initialised = false;
     this.muted = false;
@@ -25,6 +61,11 @@ export class VoiceClient extends EventTarget {
     this.up = new THREE.Vector3();
     this.debugInfo = new Map();
     this.fallbackEnabled = false;
+    this.inInterest = new Set();
+    // Per-player listening settings, kept by player id whether or not a peer is connected yet.
+    this.peerAudio = new Map();
+    // Kept apart from `peers` so a link that was given up still reports 'failed'.
+    this.peerStatus = new Map();
   }
 
   setCamera(camera) {
@@ -42,14 +83,15 @@ export class VoiceClient extends EventTarget {
     this.audioContext = new AudioContextClass();
     await this.audioContext.resume();
 
-    try {
-      this.localStream = await navigator.mediaDevices.getUserMedia({
-        audio: {
-          echoCancellation: true,
-          noiseSuppression: true,
-          autoGainControl: true
-        }
+    if (this.outputDeviceId) {
+      this._applyOutputDevice().catch((err) => {
+        console.warn('[voice] failed to select speakers', err);
       });
+    }
+
+    try {
+      this.localStream = await this._openMicrophone(this.inputDeviceId);
+      this._attachLocalMeter();
       this.setMuted(this.muted);
       this.initialised = true;
       this.dispatchEvent(new Event('ready'));
@@ -60,6 +102,97 @@ export class VoiceClient extends EventTarget {
     }
   }
 
+  /**
+   * Microphones and speakers the browser reports. Labels stay empty until mic permission has
+   * been granted.
+   * @returns {Promise<{ inputs: MediaDeviceInfo[], outputs: MediaDeviceInfo[] }>}
+   */
+  async listDevices() {
+    const devices = (await navigator.mediaDevices?.enumerateDevices?.()) ?? [];
+    return {
+      inputs: devices.filter((device) => device.kind === 'audioinput'),
+      outputs: devices.filter((device) => device.kind === 'audiooutput')
+    };
+  }
+
+  /**
+   * Whether speakers can be chosen here. Spatial voices go through the AudioContext, so this
+   * needs `AudioContext.setSinkId`; elsewhere everything plays on the default device.
+   */
+  get canSelectOutput() {
+    return typeof AudioContext !== 'undefined' && 'setSinkId' in AudioContext.prototype;
+  }
+
+  /**
+   * Switches to another microphone (null for the system default). Once voice has started the new
+   * track replaces the old one on every peer connection, so nobody has to renegotiate.
+   */
+  async setInputDevice(deviceId) {
+    this.inputDeviceId = deviceId || null;
+    if (!this.initialised) {
+      return;
+    }
+    // Switches run one after another; one overtaken by a newer choice is skipped or undone.
+    this.inputSwitchSeq += 1;
+    const request = this.inputSwitchSeq;
+    const run = this.inputSwitch.then(() => this._switchMicrophone(request));
+    this.inputSwitch = run.catch(() => {});
+    await run;
+  }
+
+  async _switchMicrophone(request) {
+    if (request !== this.inputSwitchSeq) {
+      return;
+    }
+    const stream = await this._openMicrophone(this.inputDeviceId);
+    if (request !== this.inputSwitchSeq) {
+      stream.getTracks().forEach((track) => track.stop());
+      return;
+    }
+    const [track] = stream.getAudioTracks();
+    // New tracks start enabled; match the current gate before any peer can send this one.
+    track.enabled = this.transmitting;
+    // The new stream is kept even if a peer refuses the track, so it is never left running unowned.
+    const results = await Promise.allSettled(
+      Array.from(this.peers.values()).map((peer) => {
+        const sender = peer.pc.getSenders().find((candidate) => candidate.track?.kind === 'audio');
+        return sender?.replaceTrack(track);
+      })
+    );
+    results
+      .filter((result) => result.status === 'rejected')
+      .forEach((result) => console.warn('[voice] failed to swap the microphone track', result.reason));
+    const previous = this.localStream;
+    this.localStream = stream;
+    this._attachLocalMeter();
+    this._updateTransmission();
+    previous?.getTracks().forEach((old) => old.stop());
+  }
+
+  /**
+   * Routes every voice to another output device (null for the system default) where supported.
+   */
+  async setOutputDevice(deviceId) {
+    this.outputDeviceId = deviceId || null;
+    await this._applyOutputDevice();
+  }
+
+  /**
+   * Plays our own mic back to us so we can hear how it sounds; nothing is sent to peers.
+   */
+  setMicTest(active) {
+    if (!active || !this.meterSource) {
+      this.micTest?.disconnect();
+      this.micTest = null;
+      return;
+    }
+    if (!this.micTest) {
+      this.micTest = this.audioContext.createGain();
+      this.micTest.connect(this.audioContext.destination);
+    }
+    this.meterSource.connect(this.micTest);
+  }
+
   async ensurePeer(remoteId) {
     if (!this.initialised || !this.localStream || remoteId === this.network.playerId) {
       return null;
@@ -91,9 +224,7 @@ export class VoiceClient extends EventTarget {
     pc.onconnectionstatechange = () => {
       console.log('[voice] peer state', remoteId, pc.connectionState);
       this._updateDebug(remoteId, { connectionState: pc.connectionState });
-      if (pc.connectionState === 'failed' || pc.connectionState === 'closed') {
-        this.teardownPeer(remoteId);
-      }
+      this._handleConnectionState(peer);
     };
     pc.oniceconnectionstatechange = () => {
       this._updateDebug(remoteId, { iceState: pc.iceConnectionState });
@@ -108,13 +239,31 @@ export class VoiceClient extends EventTarget {
       pc,
       stream: null,
       nodes: null,
-      lastKnownPosition: new THREE.Vector3()
+      lastKnownPosition: new THREE.Vector3(),
+      restartTimer: null,
+      restartAttempts: 0
     };
     this.peers.set(remoteId, peer);
+    this._setPeerStatus(remoteId, 'connecting');
     return peer;
   }
 
-  async createOffer(remoteId) {
+  /**
+   * The player whose id sorts first places the call and drives any ICE restart, so the two
+   * sides never offer at each other.
+   */
+  isCaller(remoteId) {
+    if (!this.network.playerId) {
+      return false;
+    }
+    return this.network.playerId.localeCompare(remoteId) < 0;
+  }
+
+  /**
+   * Sends an offer to `remoteId`. With `iceRestart` the existing connection gathers fresh
+   * candidates and renegotiates over the same signalling relay instead of being replaced.
+   */
+  async createOffer(remoteId, { iceRestart = false } = {}) {
     const peer = await this.ensurePeer(remoteId);
     if (!peer) {
       return;
@@ -124,9 +273,14 @@ export class VoiceClient extends EventTarget {
     }
     this.pendingOffers.add(remoteId);
     try {
+      // An earlier restart offer that never got an answer would block a new one.
+      if (iceRestart && peer.pc.signalingState === 'have-local-offer') {
+        await peer.pc.setLocalDescription({ type: 'rollback' });
+      }
       const offer = await peer.pc.createOffer({
         offerToReceiveAudio: true,
-        offerToReceiveVideo: false
+        offerToReceiveVideo: false,
+        iceRestart
       });
       await peer.pc.setLocalDescription(offer);
       this.network.sendSignal('rtc-offer', {
@@ -146,6 +300,13 @@ export class VoiceClient extends EventTarget {
       return;
     }
     try {
+      // Offers crossed: the caller keeps its own and waits for an answer, the other side yields.
+      if (peer.pc.signalingState === 'have-local-offer') {
+        if (this.isCaller(from)) {
+          return;
+        }
+        await peer.pc.setLocalDescription({ type: 'rollback' });
+      }
       await peer.pc.setRemoteDescription(description);
       const answer = await peer.pc.createAnswer();
       await peer.pc.setLocalDescription(answer);
@@ -184,17 +345,67 @@ export class VoiceClient extends EventTarget {
   }
 
   handlePlayerLeft(remoteId) {
+    this.inInterest.delete(remoteId);
+    this.peerAudio.delete(remoteId);
+    this.peerStatus.delete(remoteId);
     this.teardownPeer(remoteId);
   }
 
+  /**
+   * Peers outside our interest radius keep their connection but are faded to silence, so they
+   * come back instantly when they wander close again.
+   */
+  setInInterest(remoteId, inInterest) {
+    if (inInterest) {
+      this.inInterest.add(remoteId);
+    } else {
+      this.inInterest.delete(remoteId);
+    }
+    const peer = this.peers.get(remoteId);
+    if (peer) {
+      this._applyInterestState(peer);
+    }
+  }
+
+  /**
+   * How loud one player is for us, from 0 (silent) to 2 (double). The fallback `<audio>` path
+   * cannot amplify, so it tops out at 1.
+   */
+  setPeerVolume(remoteId, volume) {
+    this._setPeerAudio(remoteId, { volume: Math.min(2, Math.max(0, volume)) });
+  }
+
+  /**
+   * Silences one player for us only; they are not told.
+   */
+  setPeerMuted(remoteId, muted) {
+    this._setPeerAudio(remoteId, { muted });
+  }
+
+  getPeerAudio(remoteId) {
+    return this.peerAudio.get(remoteId) ?? { volume: 1, muted: false };
+  }
+
+  /**
+   * 'connecting', 'connected', 'retrying' or 'failed'; null before any link was attempted.
+   */
+  getPeerStatus(remoteId) {
+    return this.peerStatus.get(remoteId) ?? null;
+  }
+
   teardownPeer(remoteId) {
     const peer = this.peers.get(remoteId);
     if (!peer) {
       return;
     }
     this.peers.delete(remoteId);
+    clearTimeout(peer.restartTimer);
     if (peer.nodes) {
-      const { source, gain, panner, mediaElement } = peer.nodes;
+      const { source, gain, panner, mediaElement, activity } = peer.nodes;
+      activity.disconnect();
+      if (activity.speaking) {
+        this._emitSpeaking(remoteId, false);
+      }
       source.disconnect();
       gain.disconnect();
       panner.disconnect();
@@ -211,16 +422,13 @@ export class VoiceClient extends EventTarget {
     }
     peer.pc.onicecandidate = null;
     peer.pc.ontrack = null;
+    peer.pc.onconnectionstatechange = null;
     peer.pc.close();
   }
 
   setMuted(muted) {
     this.muted = muted;
-    if (this.localStream) {
-      this.localStream.getAudioTracks().forEach((track) => {
-        track.enabled = !muted;
-      });
-    }
+    this._updateTransmission();
     this.dispatchEvent(
       new CustomEvent('mute-changed', {
         detail: { muted }
@@ -228,8 +436,44 @@ export class VoiceClient extends EventTarget {
     );
   }
 
+  setInputMode(mode) {
+    if (!INPUT_MODES.includes(mode)) {
+      throw new Error(`Unknown voice input mode: ${mode}`);
+    }
+    this.inputMode = mode;
+    this._updateTransmission();
+  }
+
+  /**
+   * Held state of the push-to-talk key; ignored in the other input modes.
+   */
+  setPushToTalk(active) {
+    this.pushToTalkActive = active;
+    this._updateTransmission();
+  }
+
+  /**
+   * Level in dBFS the mic has to reach to open in voice-activation mode. It also sets when our
+   * own speaking indicator lights in the other modes.
+   */
+  setActivationThreshold(db) {
+    this.activationThreshold = db;
+    this.localActivity?.setThreshold(db);
+  }
+
+  /**
+   * Latest mic level in dBFS, measured whether or not it is being sent.
+   */
+  getInputLevel() {
+    return this.localActivity?.level ?? SILENCE_DB;
+  }
+
   update() {
-    if (!this.initialised || !this.audioContext || !this.camera) {
+    if (!this.initialised || !this.audioContext) {
+      return;
+    }
+    this._sampleActivity();
+    if (!this.camera) {
       return;
     }
 
@@ -294,6 +538,8 @@ export class VoiceClient extends EventTarget {
     return {
       ready: this.initialised,
       muted: this.muted,
+      inputMode: this.inputMode,
+      transmitting: this.transmitting,
       peers: Array.from(this.debugInfo.entries()).map(([id, info]) => ({
         id,
         ...info
@@ -325,11 +571,181 @@ export class VoiceClient extends EventTarget {
     element.muted = !this.fallbackEnabled;
     element.srcObject = stream;
     element.style.display = 'none';
+    if (this.outputDeviceId) {
+      element.setSinkId?.(this.outputDeviceId).catch((err) => {
+        console.warn('[voice] failed to route fallback audio', err);
+      });
+    }
     document.body.appendChild(element);
 
-    peer.nodes = { source, gain, panner, mediaElement: element };
+    // Measured before the gain so speech is detected whatever the interest fade is doing.
+    const activity = createVoiceActivityDetector(this.audioContext, source);
+    peer.nodes = { source, gain, panner, mediaElement: element, activity };
     this._updateDebug(remoteId, { hasStream: true });
     this._applyFallbackState(peer);
+    this._applyInterestState(peer, { immediate: true });
+  }
+
+  _handleConnectionState(peer) {
+    switch (peer.pc.connectionState) {
+      case 'connected':
+        clearTimeout(peer.restartTimer);
+        peer.restartTimer = null;
+        peer.restartAttempts = 0;
+        this._setPeerStatus(peer.id, 'connected');
+        break;
+      case 'disconnected':
+        this._setPeerStatus(peer.id, 'retrying');
+        if (!peer.restartTimer) {
+          this._scheduleIceRestart(peer, DISCONNECTED_GRACE_MS);
+        }
+        break;
+      case 'failed':
+        this._setPeerStatus(peer.id, 'retrying');
+        if (!peer.restartTimer) {
+          this._scheduleIceRestart(peer, ICE_RESTART_BASE_DELAY_MS * 2 ** peer.restartAttempts);
+        }
+        break;
+      case 'closed':
+        this.teardownPeer(peer.id);
+        break;
+      default:
+        break;
+    }
+  }
+
+  // Both sides keep the clock so either can give up; only the caller sends the restart offer.
+  _scheduleIceRestart(peer, delay) {
+    peer.restartTimer = setTimeout(() => {
+      peer.restartTimer = null;
+      if (this.peers.get(peer.id) !== peer || peer.pc.connectionState === 'connected') {
+        return;
+      }
+      if (peer.restartAttempts >= MAX_ICE_RESTARTS) {
+        console.warn('[voice] giving up on peer', peer.id);
+        this.teardownPeer(peer.id);
+        this._setPeerStatus(peer.id, 'failed');
+        return;
+      }
+      peer.restartAttempts += 1;
+      this._updateDebug(peer.id, { iceRestarts: peer.restartAttempts });
+      if (this.isCaller(peer.id)) {
+        this.createOffer(peer.id, { iceRestart: true });
+      }
+      this._scheduleIceRestart(peer, ICE_RESTART_BASE_DELAY_MS * 2 ** peer.restartAttempts);
+    }, delay);
+  }
+
+  _setPeerStatus(remoteId, status) {
+    if (this.peerStatus.get(remoteId) === status) {
+      return;
+    }
+    this.peerStatus.set(remoteId, status);
+    this.dispatchEvent(
+      new CustomEvent('peer-status', {
+        detail: { id: remoteId, status }
+      })
+    );
+  }
+
+  async _openMicrophone(deviceId) {
+    const audio = {
+      echoCancellation: true,
+      noiseSuppression: true,
+      autoGainControl: true
+    };
+    if (!deviceId) {
+      return navigator.mediaDevices.getUserMedia({ audio });
+    }
+    try {
+      return await navigator.mediaDevices.getUserMedia({
+        audio: { ...audio, deviceId: { exact: deviceId } }
+      });
+    } catch (err) {
+      // A saved device that is unplugged (or belongs to another computer) falls back to the default.
+      if (err?.name !== 'OverconstrainedError' && err?.name !== 'NotFoundError') {
+        throw err;
+      }
+      console.warn('[voice] microphone unavailable, using the default', deviceId);
+      return navigator.mediaDevices.getUserMedia({ audio });
+    }
+  }
+
+  // Meter a clone of the mic so the gate still hears us while the sent track is disabled.
+  _attachLocalMeter() {
+    const testing = Boolean(this.micTest);
+    this.localActivity?.disconnect();
+    this.meterSource?.disconnect();
+    this.meterStream?.getTracks().forEach((track) => track.stop());
+    this.meterStream = new MediaStream(
+      this.localStream.getAudioTracks().map((track) => track.clone())
+    );
+    this.meterSource = this.audioContext.createMediaStreamSource(this.meterStream);
+    this.localActivity = createVoiceActivityDetector(this.audioContext, this.meterSource, {
+      startDb: this.activationThreshold
+    });
+    if (testing) {
+      this.setMicTest(true);
+    }
+  }
+
+  async _applyOutputDevice() {
+    const sinkId = this.outputDeviceId ?? '';
+    const elements = Array.from(this.peers.values())
+      .map((peer) => peer.nodes?.mediaElement)
+      .filter(Boolean);
+    await Promise.all([
+      this.audioContext?.setSinkId?.(sinkId),
+      ...elements.map((element) => element.setSinkId?.(sinkId))
+    ]);
+  }
+
+  _sampleActivity() {
+    const now = performance.now();
+    if (this.localActivity?.sample(now)) {
+      this._updateTransmission();
+    }
+    this.peers.forEach((peer, id) => {
+      const activity = peer.nodes?.activity;
+      if (activity?.sample(now)) {
+        this._emitSpeaking(id, activity.speaking);
+      }
+    });
+  }
+
+  _updateTransmission() {
+    let open = !this.muted;
+    if (this.inputMode === 'push-to-talk') {
+      open &&= this.pushToTalkActive;
+    } else if (this.inputMode === 'voice-activation') {
+      open &&= Boolean(this.localActivity?.speaking);
+    }
+    if (this.localStream) {
+      this.localStream.getAudioTracks().forEach((track) => {
+        track.enabled = open;
+      });
+    }
+    if (open !== this.transmitting) {
+      this.transmitting = open;
+      this.dispatchEvent(
+        new CustomEvent('transmit-changed', {
+          detail: { transmitting: open }
+        })
+      );
+    }
+    const speaking = open && Boolean(this.localActivity?.speaking);
+    if (speaking !== this.localSpeaking) {
+      this.localSpeaking = speaking;
+      this._emitSpeaking(this.network.playerId, speaking);
+    }
+  }
+
+  _emitSpeaking(id, speaking) {
+    this.dispatchEvent(
+      new CustomEvent('speaking-changed', {
+        detail: { id, speaking }
+      })
+    );
   }
 
   _updateDebug(remoteId, patch) {
@@ -337,6 +753,32 @@ export class VoiceClient extends EventTarget {
     this.debugInfo.set(remoteId, { ...info, ...patch });
   }
 
+  _setPeerAudio(remoteId, patch) {
+    this.peerAudio.set(remoteId, { ...this.getPeerAudio(remoteId), ...patch });
+    const peer = this.peers.get(remoteId);
+    if (peer) {
+      this._applyInterestState(peer);
+    }
+  }
+
+  _applyInterestState(peer, { immediate = false } = {}) {
+    if (!peer?.nodes || !this.audioContext) {
+      return;
+    }
+    const { volume, muted } = this.getPeerAudio(peer.id);
+    const level = this.inInterest.has(peer.id) && !muted ? volume : 0;
+    const { gain, mediaElement } = peer.nodes;
+    if (immediate) {
+      gain.gain.value = level;
+    } else {
+      gain.gain.setTargetAtTime(level, this.audioContext.currentTime, INTEREST_FADE_SECONDS);
+    }
+    if (mediaElement) {
+      mediaElement.volume = Math.min(1, level);
+    }
+    this._updateDebug(peer.id, { inInterest: this.inInterest.has(peer.id), volume, muted });
+  }
+
   _applyFallbackState(peer) {
     if (!peer?.nodes?.mediaElement) {
       return;
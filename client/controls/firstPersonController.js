@@ -1,17 +1,27 @@
 // Stack: PointerLockControls from Three.js with lightweight WASD kinematics; keeps the camera at head height.
 import * as THREE from 'three';
 import { PointerLockControls } from 'three/examples/jsm/controls/PointerLockControls.js';
+import {
+  MOVE_ACCELERATION,
+  MOVE_DAMPING,
+  GRAVITY,
+  JUMP_STRENGTH,
+  EYE_HEIGHT,
+  WORLD_RADIUS
+} from '../../shared/movement.js';
 
 export class FirstPersonController {
   constructor(camera, domElement) {
     this.controls = new PointerLockControls(camera, domElement);
     this.velocity = new THREE.Vector3();
     this.direction = new THREE.Vector3();
-    this.speed = 30;
+    this.speed = MOVE_ACCELERATION;
+    this.damping = MOVE_DAMPING;
     this.verticalVelocity = 0;
-    this.gravity = 28;
-    this.jumpStrength = 10;
-    this.baseEyeHeight = 1.6;
+    this.gravity = GRAVITY;
+    this.jumpStrength = JUMP_STRENGTH;
+    this.baseEyeHeight = EYE_HEIGHT;
+    this.worldRadius = WORLD_RADIUS;
     this.isOnGround = true;
 
     this.moveForward = false;
@@ -36,6 +46,17 @@ export class FirstPersonController {
     this.controls.unlock();
   }
 
+  /**
+   * Moves the player to an authoritative position (respawn or server correction) and
+   * drops any built-up momentum so the next update starts from rest.
+   */
+  teleport(position) {
+    const object = this.controls.getObject();
+    object.position.set(position[0], position[1], position[2]);
+    this.velocity.set(0, 0, 0);
+    this.verticalVelocity = 0;
+  }
+
   dispose() {
     document.removeEventListener('keydown', this._onKeyDown);
     document.removeEventListener('keyup', this._onKeyUp);
@@ -46,8 +67,8 @@ export class FirstPersonController {
       return;
     }
 
-    this.velocity.x -= this.velocity.x * 8.5 * delta;
-    this.velocity.z -= this.velocity.z * 8.5 * delta;
+    this.velocity.x -= this.velocity.x * this.damping * delta;
+    this.velocity.z -= this.velocity.z * this.damping * delta;
 
     this.direction.z = Number(this.moveForward) - Number(this.moveBackward);
     this.direction.x = Number(this.moveRight) - Number(this.moveLeft);
@@ -67,6 +88,13 @@ export class FirstPersonController {
     const object = this.controls.getObject();
     object.position.y += this.verticalVelocity * delta;
 
+    const radius = Math.hypot(object.position.x, object.position.z);
+    if (radius > this.worldRadius) {
+      const scale = this.worldRadius / radius;
+      object.position.x *= scale;
+      object.position.z *= scale;
+    }
+
     if (object.position.y <= this.baseEyeHeight) {
       object.position.y = this.baseEyeHeight;
       this.verticalVelocity = 0;
@@ -77,6 +105,10 @@ export class FirstPersonController {
   }
 
   _onKeyDown(event) {
+    // Typing a name or a chat line should not walk or hop.
+    if (event.target instanceof HTMLInputElement || event.target instanceof HTMLTextAreaElement) {
+      return;
+    }
     switch (event.code) {
       case 'ArrowUp':
       case 'KeyW':
@@ -2,13 +2,18 @@
 import * as THREE from 'three';
 import { createWorld, handleResize } from './world/createWorld.js';
 import { FirstPersonController } from './controls/firstPersonController.js';
-import { NetworkClient } from './network/networkClient.js';
+import { NetworkClient, JoinRejectedError } from './network/networkClient.js';
+import { ProfileClient } from './network/profileClient.js';
 import { RemotePlayerManager } from './world/remotePlayerManager.js';
 import { VoiceClient } from './audio/voiceClient.js';
 import { playJump, playAttack, playDamage } from './audio/sfx.js';
 import { customizationManager } from './ui/customizationManager.js';
 import { CharacterPreview } from './ui/characterPreview.js';
 import { faceCaptureModal } from './ui/faceCaptureModal.js';
+import { RoomBrowser } from './ui/roomBrowser.js';
+import { ChatPanel } from './ui/chatPanel.js';
+import { VoiceSettingsPanel, formatKey } from './ui/voiceSettingsPanel.js';
+import { FATAL_ERROR_CODES, ProtocolError } from '../shared/protocol.js';
 
 const app = document.getElementById('app');
 
@@ -33,6 +38,7 @@ controller.events.addEventListener('jump', () => {
 
 const remotePlayers = new RemotePlayerManager(scene);
 const network = new NetworkClient();
+const profiles = new ProfileClient();
 const voice = new VoiceClient(network, remotePlayers);
 voice.setCamera(camera);
 
@@ -73,6 +79,12 @@ overlay.innerHTML = `
             <button type="button" data-role="clear-face-btn" class="secondary">✕</button>
           </div>
           <div class="face-status" data-role="face-status">${customizationManager.faceImage ? '✓ Face set' : 'No face image'}</div>
+          <div class="customization-row profile-row">
+            <label>Profile:</label>
+            <button type="button" data-role="copy-profile-key">Copy key</button>
+            <button type="button" data-role="use-profile-key" class="secondary">Use key…</button>
+          </div>
+          <div class="profile-status" data-role="profile-status">Loading profile…</div>
         </div>
         <canvas data-role="character-preview" width="200" height="280"></canvas>
       </div>
@@ -80,10 +92,11 @@ overlay.innerHTML = `
     <div data-role="name-block">
       <input type="text" name="displayName" placeholder="Campfire guest" maxlength="24" />
     </div>
+    <div data-role="room-browser"></div>
     <button type="button" data-role="join-btn">Join the courtyard</button>
     <p class="hint" data-role="hint">
       Voice chat requires microphone access.<br />
-      Use <strong>WASD</strong> to move &bull; <strong>Space</strong> to hop &bull; Mouse to look &bull; Esc to release cursor
+      Use <strong>WASD</strong> to move &bull; <strong>Space</strong> to hop &bull; Mouse to look &bull; Enter to chat &bull; Esc to release cursor
     </p>
   </div>
 `;
@@ -93,7 +106,7 @@ container.appendChild(overlay);
 const hud = document.createElement('div');
 hud.className = 'hud';
 hud.innerHTML = `
-  <span>WASD / arrows to move &nbsp;&bull;&nbsp; Space to hop &nbsp;&bull;&nbsp; Mouse look &nbsp;&bull;&nbsp; Esc to unlock cursor</span>
+  <span>WASD / arrows to move &nbsp;&bull;&nbsp; Space to hop &nbsp;&bull;&nbsp; Mouse look &nbsp;&bull;&nbsp; Enter to chat &nbsp;&bull;&nbsp; Esc to unlock cursor</span>
   <span data-role="players">Not connected</span>
 `;
 container.appendChild(hud);
@@ -102,15 +115,22 @@ const controlsBar = document.createElement('div');
 controlsBar.className = 'controls';
 controlsBar.innerHTML = `
   <span class="label" data-role="self-name">Visitor</span>
+  <span class="signal" data-role="signal" data-level="0" title="Not connected"><i></i><i></i><i></i><i></i></span>
   <button type="button" data-role="mute" disabled>Mute</button>
   <button type="button" data-role="audio-mode" disabled title="Toggle spatial audio fallback">Spatial</button>
+  <button type="button" data-role="voice-settings" title="Voice input mode">Voice</button>
 `;
 container.appendChild(controlsBar);
 
+const voiceSettingsRoot = document.createElement('section');
+container.appendChild(voiceSettingsRoot);
+const voiceSettings = new VoiceSettingsPanel(voiceSettingsRoot);
+
 const rosterPanel = document.createElement('aside');
 rosterPanel.className = 'player-list';
 rosterPanel.innerHTML = `
   <h2>Campfire</h2>
+  <p class="invite-code" data-role="invite-code" hidden></p>
   <ul data-role="player-list"></ul>
 `;
 container.appendChild(rosterPanel);
@@ -119,6 +139,10 @@ const heartsPanel = document.createElement('div');
 heartsPanel.className = 'hearts-panel';
 container.appendChild(heartsPanel);
 
+const chatRoot = document.createElement('section');
+container.appendChild(chatRoot);
+const chatPanel = new ChatPanel(chatRoot);
+
 const deathPanel = document.createElement('section');
 deathPanel.className = 'overlay hidden death-panel';
 deathPanel.innerHTML = `
@@ -137,8 +161,13 @@ const nameBlock = overlay.querySelector('[data-role="name-block"]');
 const hintText = overlay.querySelector('[data-role="hint"]');
 const selfNameLabel = controlsBar.querySelector('[data-role="self-name"]');
 const muteButton = controlsBar.querySelector('[data-role="mute"]');
+const signalIndicator = controlsBar.querySelector('[data-role="signal"]');
 const rosterList = rosterPanel.querySelector('[data-role="player-list"]');
+const rosterTitle = rosterPanel.querySelector('h2');
+const inviteCodeLabel = rosterPanel.querySelector('[data-role="invite-code"]');
+const roomBrowserRoot = overlay.querySelector('[data-role="room-browser"]');
 const audioModeButton = controlsBar.querySelector('[data-role="audio-mode"]');
+const voiceSettingsButton = controlsBar.querySelector('[data-role="voice-settings"]');
 const respawnButton = deathPanel.querySelector('[data-role="respawn"]');
 
 // Customization controls
@@ -151,6 +180,9 @@ const clearFaceBtn = overlay.querySelector('[data-role="clear-face-btn"]');
 const faceStatus = overlay.querySelector('[data-role="face-status"]');
 const previewCanvas = overlay.querySelector('[data-role="character-preview"]');
 const customizationPanel = overlay.querySelector('[data-role="customization-panel"]');
+const copyProfileKeyBtn = overlay.querySelector('[data-role="copy-profile-key"]');
+const useProfileKeyBtn = overlay.querySelector('[data-role="use-profile-key"]');
+const profileStatus = overlay.querySelector('[data-role="profile-status"]');
 
 if (
   !enterButton ||
@@ -160,8 +192,13 @@ if (
   !hintText ||
   !selfNameLabel ||
   !muteButton ||
+  !signalIndicator ||
   !audioModeButton ||
+  !voiceSettingsButton ||
   !rosterList ||
+  !rosterTitle ||
+  !inviteCodeLabel ||
+  !roomBrowserRoot ||
   !heartsPanel ||
   !respawnButton ||
   !headColorInput ||
@@ -172,11 +209,16 @@ if (
   !clearFaceBtn ||
   !faceStatus ||
   !previewCanvas ||
-  !customizationPanel
+  !customizationPanel ||
+  !copyProfileKeyBtn ||
+  !useProfileKeyBtn ||
+  !profileStatus
 ) {
   throw new Error('UI failed to initialise');
 }
 
+const roomBrowser = new RoomBrowser(roomBrowserRoot, network);
+
 // Initialize character preview
 const characterPreview = new CharacterPreview(previewCanvas);
 characterPreview.updateSettings(customizationManager.getSettings());
@@ -221,8 +263,109 @@ clearFaceBtn.addEventListener('click', () => {
   faceStatus.textContent = 'No face image';
 });
 
+// Colour pickers fire on every drag step; only the settled choice is sent.
+customizationManager.addEventListener('change', scheduleCustomizationSync);
+
+// A look restored from the profile replaces every control at once.
+customizationManager.addEventListener('reset', (event) => {
+  const settings = event.detail;
+  headColorInput.value = settings.headColor;
+  bodyColorInput.value = settings.bodyColor;
+  clothingSelect.value = settings.clothing;
+  faceStatus.textContent = settings.faceImage ? '✓ Face set' : 'No face image';
+  characterPreview.updateSettings(settings);
+  scheduleCustomizationSync();
+});
+
+profiles.addEventListener('change', (event) => {
+  const { joins = 0, knockouts = 0 } = event.detail?.stats ?? {};
+  profileStatus.textContent = `${joins} ${joins === 1 ? 'visit' : 'visits'} · ${knockouts} ${knockouts === 1 ? 'knockout' : 'knockouts'}`;
+});
+
+copyProfileKeyBtn.addEventListener('click', async () => {
+  if (!profiles.token) {
+    return;
+  }
+  try {
+    await navigator.clipboard.writeText(profiles.token);
+    showToast('Profile key copied. Use it on another device to bring your look along.');
+  } catch {
+    window.prompt('Copy your profile key:', profiles.token);
+  }
+});
+
+useProfileKeyBtn.addEventListener('click', async () => {
+  const token = window.prompt('Paste a profile key from another device:')?.trim();
+  if (!token) {
+    return;
+  }
+  try {
+    applyProfile(await profiles.useToken(token));
+    showToast('Profile loaded.');
+  } catch (err) {
+    console.warn('Profile switch failed', err);
+    showToast('That profile key was not recognised.');
+  }
+});
+
+function applyProfile(profile) {
+  if (profile.name && !hasJoined) {
+    nameInput.value = profile.name;
+  }
+  customizationManager.applySharedSettings(profile.customization ?? {});
+  restoreVoiceSettings(profile);
+}
+
+function restoreVoiceSettings(profile) {
+  voiceSettings.setSettings(profile.preferences?.voice);
+  applyVoiceSettings(voiceSettings.settings);
+  peerAudioPreferences = { ...profile.preferences?.peerAudio };
+  roster.forEach((entry) => {
+    if (!entry.isSelf) {
+      applyPeerAudio(entry);
+    }
+  });
+  updateRosterUI();
+}
+
+// Sliders and toggles fire continuously; merge their changes and save once they settle.
+function schedulePreferenceSave(patch) {
+  Object.assign(pendingPreferences, patch);
+  clearTimeout(preferenceSaveTimer);
+  preferenceSaveTimer = setTimeout(() => {
+    const preferences = pendingPreferences;
+    pendingPreferences = {};
+    profiles.update({ preferences }).catch((err) => console.warn('Profile save failed', err));
+  }, CUSTOMIZATION_SYNC_DELAY_MS);
+}
+
+// The server copy wins once it holds a look; a brand new profile starts from this browser's.
+async function loadProfile() {
+  try {
+    const profile = await profiles.load();
+    if (Object.keys(profile.customization ?? {}).length > 0) {
+      applyProfile(profile);
+    } else {
+      if (profile.name && !nameInput.value) {
+        nameInput.value = profile.name;
+      }
+      restoreVoiceSettings(profile);
+      scheduleCustomizationSync();
+    }
+  } catch (err) {
+    console.warn('Profile unavailable', err);
+    profileStatus.textContent = 'Profile unavailable';
+  }
+}
+
 const MAX_HEALTH = 6;
 const ATTACK_COOLDOWN_MS = 650;
+const CUSTOMIZATION_SYNC_DELAY_MS = 300;
+// Oldest entries are dropped past this so the preferences stay well under the profile's size cap.
+const MAX_PEER_AUDIO_PREFERENCES = 50;
+const OUTDATED_CLIENT_MESSAGE = 'This page is out of date with the campfire server. Refresh to rejoin.';
+// Lets a server operator moderate any room: open the page with ?moderatorKey=<MODERATOR_KEY>.
+const MODERATOR_KEY = new URLSearchParams(window.location.search).get('moderatorKey');
 
 const roster = new Map();
 const pendingPeerIds = new Set();
@@ -232,12 +375,21 @@ let fallbackAutoEnabled = false;
 let selfName = '';
 let hasJoined = false;
 let isJoining = false;
+let resumedSession = false;
 let voiceReady = false;
 let lastBroadcast = 0;
 let selfHealth = MAX_HEALTH;
 let selfAlive = true;
 let lastAttackTime = 0;
 let hitFlashTimeout = null;
+let customizationSyncTimer = null;
+let preferenceSaveTimer = null;
+let pendingPreferences = {};
+// Volume and local mute for other players, keyed by lower-cased name so they survive sessions.
+let peerAudioPreferences = {};
+// The roster is rebuilt on every update, which would cut a volume drag short; wait for release.
+let rosterPointerDown = false;
+let rosterNeedsUpdate = false;
 
 enterButton.addEventListener('click', async () => {
   const mode = overlay.dataset.mode ?? 'join';
@@ -245,34 +397,109 @@ enterButton.addEventListener('click', async () => {
     controller.lock();
     return;
   }
+  await joinCourtyard(roomBrowser.getTarget());
+});
+
+// While joined the name field renames us; it commits on Enter or when it loses focus. The
+// profile keeps the name the server settles on (see player-renamed), not the one we asked for.
+nameInput.addEventListener('change', () => {
+  if (!hasJoined) {
+    return;
+  }
+  const name = nameInput.value.trim();
+  if (!name || name === selfName) {
+    nameInput.value = selfName;
+    return;
+  }
+  network.rename(name);
+});
+
+roomBrowser.addEventListener('create', (event) => {
+  if (hasJoined) {
+    return;
+  }
+  joinCourtyard({ create: event.detail ?? {} });
+});
+
+function scheduleCustomizationSync() {
+  clearTimeout(customizationSyncTimer);
+  customizationSyncTimer = setTimeout(async () => {
+    await uploadFaceIfNeeded();
+    const customization = customizationManager.getSharedSettings();
+    profiles.update({ customization }).catch((err) => console.warn('Profile save failed', err));
+    if (hasJoined) {
+      network.sendCustomization(customization);
+    }
+  }, CUSTOMIZATION_SYNC_DELAY_MS);
+}
+
+function saveProfileName(name) {
+  profiles.update({ name }).catch((err) => console.warn('Profile save failed', err));
+}
 
+// Faces are shared by content hash; upload the local picture once and remember its hash.
+async function uploadFaceIfNeeded() {
+  const { faceImage, faceHash } = customizationManager;
+  if (!faceImage || faceHash) {
+    return;
+  }
+  try {
+    const { hash } = await network.uploadFace(faceImage);
+    customizationManager.setFaceHash(hash);
+  } catch (err) {
+    console.warn('Face upload failed', err);
+    showToast('Could not share your face picture. Carrying on without it.');
+  }
+}
+
+async function joinCourtyard(target) {
   if (!hasJoined && !isJoining) {
     const desiredName = (nameInput.value || '').trim() || generateFriendlyName();
     isJoining = true;
     enterButton.disabled = true;
+    roomBrowser.setDisabled(true);
     try {
+      await uploadFaceIfNeeded();
       await network.join({
         name: desiredName,
         position: getLocalPosition(),
         rotation: getLocalRotation(),
-        customization: customizationManager.getSettings()
+        customization: customizationManager.getSharedSettings(),
+        moderatorKey: MODERATOR_KEY,
+        profileToken: profiles.token,
+        ...target
       });
       hasJoined = true;
-      selfName = desiredName;
-      nameInput.value = desiredName;
-      nameInput.disabled = true;
+      // The server may have suffixed the name to keep it unique in the room.
+      selfName = network.name ?? desiredName;
+      nameInput.value = selfName;
+      saveProfileName(selfName);
+      roomBrowser.setCode(network.inviteCode ?? network.roomId);
       roster.set(network.playerId, {
         id: network.playerId,
-        name: desiredName,
+        name: selfName,
+        role: network.role,
         isSelf: true
       });
       updateRosterUI();
+      if (target.create) {
+        showToast(
+          network.inviteCode
+            ? `Private campfire created. Invite code: ${network.inviteCode}`
+            : `Campfire created. Share the code ${network.roomId} with friends.`
+        );
+      }
       selfHealth = MAX_HEALTH;
       selfAlive = true;
       renderHearts();
       hideDeathPanel();
       await voice.start();
       voiceReady = true;
+      voiceSettings.setVoiceReady(true);
+      // Device names only show up once the mic has been allowed.
+      if (voiceSettings.isOpen) {
+        refreshAudioDevices();
+      }
       muteButton.disabled = false;
       audioModeButton.disabled = false;
       updateMuteButton();
@@ -282,22 +509,39 @@ enterButton.addEventListener('click', async () => {
       showToast('Mic connected. You can mute via the button below.');
     } catch (error) {
       if (error?.name === 'NotAllowedError') {
-        showToast('Microphone blocked. You can still explore, but others cannot hear you.');
+        showToast('Microphone blocked. Others cannot hear you, but you can still chat with Enter.');
       } else if (error instanceof Error && error.message.includes('Connection closed')) {
         showToast('Unable to reach the campfire. Try again in a moment.');
+      } else if (error instanceof ProtocolError) {
+        if (FATAL_ERROR_CODES.includes(error.code)) {
+          showToast(OUTDATED_CLIENT_MESSAGE);
+        } else {
+          console.error('Join refused by server', error);
+          showToast('Join failed. Check your connection and retry.');
+        }
+      } else if (error instanceof JoinRejectedError) {
+        showToast(error.message);
+        if (error.code === 'password-required' || error.code === 'wrong-password') {
+          roomBrowser.focusPassword();
+        } else if (error.code === 'room-full') {
+          roomBrowser.refresh();
+        }
       } else {
         console.error('Failed to join room', error);
         showToast('Join failed. Check your connection and retry.');
       }
     } finally {
       enterButton.disabled = false;
+      roomBrowser.setDisabled(false);
       isJoining = false;
       enterButton.textContent = hasJoined ? 'Re-enter courtyard' : 'Join the courtyard';
     }
   }
 
-  controller.lock();
-});
+  if (hasJoined) {
+    controller.lock();
+  }
+}
 
 muteButton.addEventListener('click', () => {
   if (!voiceReady) {
@@ -321,6 +565,75 @@ respawnButton.addEventListener('click', () => {
 });
 
 voice.addEventListener('mute-changed', updateMuteButton);
+voice.addEventListener('transmit-changed', (event) => {
+  selfNameLabel.classList.toggle('transmitting', event.detail.transmitting);
+});
+
+voiceSettingsButton.addEventListener('click', () => voiceSettings.toggle());
+voiceSettings.addEventListener('open', refreshAudioDevices);
+voiceSettings.addEventListener('mic-test', (event) => voice.setMicTest(event.detail));
+navigator.mediaDevices?.addEventListener?.('devicechange', () => {
+  if (voiceSettings.isOpen) {
+    refreshAudioDevices();
+  }
+});
+
+rosterList.addEventListener('pointerdown', () => {
+  rosterPointerDown = true;
+});
+
+['pointerup', 'pointercancel'].forEach((type) => {
+  window.addEventListener(type, () => {
+    rosterPointerDown = false;
+    if (rosterNeedsUpdate) {
+      rosterNeedsUpdate = false;
+      // After the click that may follow this release has reached the old buttons.
+      setTimeout(updateRosterUI);
+    }
+  });
+});
+
+voiceSettings.addEventListener('change', (event) => {
+  const settings = event.detail;
+  applyVoiceSettings(settings);
+  schedulePreferenceSave({ voice: settings });
+});
+
+// Push-to-talk only listens while the cursor is locked, so typing in chat or a form never keys the mic.
+window.addEventListener('keydown', (event) => {
+  if (
+    event.code === voiceSettings.settings.pushToTalkKey &&
+    controller.controls.isLocked &&
+    !event.repeat
+  ) {
+    voice.setPushToTalk(true);
+  }
+});
+
+window.addEventListener('keyup', (event) => {
+  if (event.code === voiceSettings.settings.pushToTalkKey) {
+    voice.setPushToTalk(false);
+  }
+});
+
+window.addEventListener('blur', () => voice.setPushToTalk(false));
+voice.addEventListener('speaking-changed', (event) => {
+  const { id, speaking } = event.detail;
+  remotePlayers.setSpeaking(id, speaking);
+  const entry = roster.get(id);
+  if (entry) {
+    entry.speaking = speaking;
+    updateRosterUI();
+  }
+});
+voice.addEventListener('peer-status', (event) => {
+  const { id, status } = event.detail;
+  const entry = roster.get(id);
+  if (status === 'failed' && entry) {
+    showToast(`Lost the voice link to ${entry.name}.`);
+  }
+  updateRosterUI();
+});
 voice.addEventListener('error', (event) => {
   console.error('Voice error', event.detail);
   showToast('Voice channel error. Check microphone permissions.');
@@ -340,9 +653,14 @@ window.addEventListener('mousedown', (event) => {
 
 controller.controls.addEventListener('lock', () => {
   overlay.classList.add('hidden');
+  voiceSettings.close();
 });
 
 controller.controls.addEventListener('unlock', () => {
+  voice.setPushToTalk(false);
+  if (chatPanel.isOpen) {
+    return;
+  }
   if (hasJoined) {
     showResumePrompt();
   } else {
@@ -350,15 +668,109 @@ controller.controls.addEventListener('unlock', () => {
   }
 });
 
+// Enter opens chat and frees the cursor for typing; sending or Esc closes it and walks on.
+window.addEventListener('keydown', (event) => {
+  if (
+    event.code !== 'Enter' ||
+    !hasJoined ||
+    chatPanel.isOpen ||
+    event.target instanceof HTMLInputElement
+  ) {
+    return;
+  }
+  event.preventDefault();
+  chatPanel.open();
+});
+
+chatPanel.addEventListener('open', () => {
+  overlay.classList.add('hidden');
+  controller.unlock();
+});
+
+chatPanel.addEventListener('close', () => {
+  if (!hasJoined) {
+    return;
+  }
+  // Relocking can be refused (Esc does not count as a user gesture); the prompt covers that.
+  showResumePrompt();
+  controller.lock();
+});
+
+chatPanel.addEventListener('send', (event) => {
+  network.sendChat(event.detail);
+});
+
+network.addEventListener('chat', (event) => {
+  const entry = event.detail;
+  chatPanel.addMessage(entry, network.playerId);
+  if (entry.from !== network.playerId && (entry.kind === 'say' || entry.kind === 'emote')) {
+    remotePlayers.showChatBubble(entry.from, entry.kind === 'emote' ? `* ${entry.text}` : entry.text);
+  }
+  if (entry.mentions.includes(network.playerId) && !chatPanel.isOpen) {
+    showToast(`${entry.name} mentioned you: ${entry.text}`);
+  }
+});
+
+network.addEventListener('chat-history', (event) => {
+  chatPanel.setHistory(event.detail, network.playerId);
+  chatPanel.setCommands(network.commands);
+});
+
+network.addEventListener('player-afk', (event) => {
+  const { id, afk, message } = event.detail ?? {};
+  const entry = roster.get(id);
+  if (!entry) {
+    return;
+  }
+  entry.afk = afk;
+  if (!entry.isSelf) {
+    showToast(afk ? `${entry.name} is away${message ? `: ${message}` : '.'}` : `${entry.name} is back.`);
+  }
+  updateRosterUI();
+});
+
+network.addEventListener('kicked', (event) => {
+  if (hasJoined) {
+    const reason = event.detail?.reason;
+    endSession(`A moderator removed you from the campfire${reason ? `: ${reason}` : '.'}`);
+  }
+});
+
+network.addEventListener('rate-limited', () => {
+  if (hasJoined) {
+    endSession('Disconnected for sending too many messages. Click to rejoin.');
+  }
+});
+
 network.addEventListener('room-state', (event) => {
   const players = event.detail ?? [];
+  const present = new Set(players.map((player) => player.id));
+  remotePlayers.getIds().forEach((id) => {
+    if (!present.has(id)) {
+      unregisterRemotePlayer(id);
+    }
+  });
   players.forEach((player) => {
     registerRemotePlayer(player);
-    schedulePeer(player.id);
+    if (voice.getPeers().includes(player.id)) {
+      return;
+    }
+    if (resumedSession && voiceReady) {
+      // The other side never saw us leave, so we re-offer regardless of who normally calls.
+      voice.createOffer(player.id);
+    } else {
+      schedulePeer(player.id);
+    }
   });
+  resumedSession = false;
   updateRosterUI();
 });
 
+network.addEventListener('resumed', (event) => {
+  resumedSession = true;
+  handleHealthUpdate(event.detail);
+});
+
 network.addEventListener('player-joined', (event) => {
   const player = event.detail;
   if (!player || player.id === network.playerId) {
@@ -377,12 +789,58 @@ network.addEventListener('player-left', (event) => {
   unregisterRemotePlayer(id);
 });
 
-network.addEventListener('state-update', (event) => {
-  const payload = event.detail;
-  if (!payload || payload.id === network.playerId) {
+network.addEventListener('snapshot', (event) => {
+  if (!event.detail) {
+    return;
+  }
+  remotePlayers.applySnapshot(event.detail);
+});
+
+network.addEventListener('customization-update', (event) => {
+  const { id, customization } = event.detail ?? {};
+  remotePlayers.updateCustomization(id, customization);
+});
+
+network.addEventListener('player-renamed', (event) => {
+  const { id, name, by } = event.detail ?? {};
+  const entry = roster.get(id);
+  if (!entry) {
     return;
   }
-  remotePlayers.applyStateUpdate(payload);
+  const previous = entry.name;
+  entry.name = name;
+  if (entry.isSelf) {
+    selfName = name;
+    nameInput.value = name;
+    saveProfileName(name);
+    if (by) {
+      showToast(`A moderator renamed you to ${name}.`);
+    }
+  } else {
+    remotePlayers.setName(id, name);
+    showToast(`${previous} is now ${name}.`);
+    // Carry our volume for them over to the new name.
+    if (peerAudioPreferences[previous.toLowerCase()]) {
+      delete peerAudioPreferences[previous.toLowerCase()];
+      setPeerAudio(entry, {});
+    }
+  }
+  updateRosterUI();
+});
+
+network.addEventListener('protocol-error', (event) => {
+  if (event.detail?.ref === 'rename') {
+    nameInput.value = selfName;
+    showToast(event.detail.message);
+  }
+});
+
+network.addEventListener('interest-enter', (event) => {
+  (event.detail?.ids ?? []).forEach((id) => setInInterest(id, true));
+});
+
+network.addEventListener('interest-leave', (event) => {
+  (event.detail?.ids ?? []).forEach((id) => setInInterest(id, false));
 });
 
 network.addEventListener('attack', (event) => {
@@ -411,8 +869,7 @@ network.addEventListener('player-respawned', (event) => {
 network.addEventListener('respawned', (event) => {
   const { position, health } = event.detail ?? {};
   if (Array.isArray(position)) {
-    const object = controller.controls.getObject();
-    object.position.set(position[0], position[1], position[2]);
+    controller.teleport(position);
   }
   selfHealth = typeof health === 'number' ? health : MAX_HEALTH;
   selfAlive = true;
@@ -421,28 +878,88 @@ network.addEventListener('respawned', (event) => {
   showToast('Back at the fire.');
 });
 
-network.addEventListener('disconnected', () => {
-  if (hasJoined) {
-    showToast('Connection lost. Click to reconnect.');
-    hasJoined = false;
-    voiceReady = false;
-    pendingSignals.length = 0;
-    muteButton.disabled = true;
-    audioModeButton.disabled = true;
-    fallbackManual = false;
-    fallbackAutoEnabled = false;
-    voice.setFallbackEnabled(false);
+network.addEventListener('latency', (event) => {
+  const { rtt, jitter, loss, quality } = event.detail ?? {};
+  signalIndicator.dataset.level = String(quality ?? 0);
+  signalIndicator.title =
+    typeof rtt === 'number'
+      ? `Ping ${Math.round(rtt)} ms · jitter ${Math.round(jitter)} ms · loss ${Math.round(loss * 100)}%`
+      : 'Not connected';
+  const self = roster.get(network.playerId);
+  if (self && typeof rtt === 'number') {
+    self.rtt = Math.round(rtt);
+    updateRosterUI();
+  }
+});
+
+network.addEventListener('latency-update', (event) => {
+  const players = event.detail?.players ?? [];
+  players.forEach(({ id, rtt }) => {
+    const entry = roster.get(id);
+    if (entry && !entry.isSelf) {
+      entry.rtt = rtt;
+    }
+  });
+  updateRosterUI();
+});
+
+network.addEventListener('reconnecting', (event) => {
+  if (!hasJoined) {
+    return;
+  }
+  const attempt = event.detail?.attempt ?? 1;
+  playersLabel.textContent = `Reconnecting… (attempt ${attempt})`;
+  if (attempt === 1) {
+    showToast('Connection lost. Trying to rejoin…');
+  }
+});
+
+network.addEventListener('reconnected', (event) => {
+  if (!hasJoined) {
+    return;
+  }
+  const { resumed, previousId } = event.detail ?? {};
+  if (!resumed) {
+    // Rejoined under a new id: everyone else saw us leave, so start voice and health afresh.
+    roster.delete(previousId);
+    if (network.name && network.name !== selfName) {
+      selfName = network.name;
+      nameInput.value = selfName;
+      saveProfileName(selfName);
+    }
+    roster.set(network.playerId, {
+      id: network.playerId,
+      name: selfName,
+      role: network.role,
+      isSelf: true
+    });
+    voice.getPeers().forEach((id) => voice.handlePlayerLeft(id));
     selfHealth = MAX_HEALTH;
     selfAlive = true;
     renderHearts();
     hideDeathPanel();
-    nameInput.disabled = false;
-    playersLabel.textContent = 'Disconnected';
-    roster.clear();
-    remotePlayers.getIds().forEach((id) => remotePlayers.removePlayer(id));
-    voice.getPeers().forEach((id) => voice.handlePlayerLeft(id));
-    updateRosterUI();
-    showJoinPrompt();
+  }
+  showToast('Reconnected to the campfire.');
+  updateRosterUI();
+});
+
+network.addEventListener('position-correction', (event) => {
+  const position = event.detail?.position;
+  if (Array.isArray(position) && position.length === 3) {
+    controller.teleport(position);
+  }
+});
+
+network.addEventListener('error', (event) => {
+  // Join failures are reported by joinCourtyard; this covers a server upgrade mid-session.
+  if (event.detail instanceof ProtocolError && hasJoined) {
+    showToast(OUTDATED_CLIENT_MESSAGE);
+  }
+});
+
+network.addEventListener('disconnected', () => {
+  if (hasJoined) {
+    endSession();
   }
 });
 
@@ -480,6 +997,9 @@ function animate() {
   }
   remotePlayers.update(delta, camera);
   voice.update();
+  if (voiceSettings.isOpen) {
+    voiceSettings.setLevel(voice.getInputLevel());
+  }
 
   if (hasJoined && selfAlive) {
     lastBroadcast += delta;
@@ -510,15 +1030,59 @@ function getLocalRotation() {
   return [0, object.rotation.y, 0];
 }
 
+function applyVoiceSettings({
+  mode,
+  pushToTalkKey,
+  activationThreshold,
+  inputDeviceId,
+  outputDeviceId
+}) {
+  const changed = mode !== voice.inputMode;
+  voice.setInputMode(mode);
+  voice.setActivationThreshold(activationThreshold);
+  if (changed && mode === 'push-to-talk') {
+    showToast(`Hold ${formatKey(pushToTalkKey)} to talk.`);
+  }
+  if (inputDeviceId !== voice.inputDeviceId) {
+    voice.setInputDevice(inputDeviceId).catch((err) => {
+      console.warn('Microphone switch failed', err);
+      showToast('Could not switch to that microphone.');
+    });
+  }
+  if (outputDeviceId !== voice.outputDeviceId) {
+    voice.setOutputDevice(outputDeviceId).catch((err) => {
+      console.warn('Speaker switch failed', err);
+      showToast('Could not switch to those speakers.');
+    });
+  }
+}
+
+async function refreshAudioDevices() {
+  try {
+    voiceSettings.setDevices(await voice.listDevices(), { canSelectOutput: voice.canSelectOutput });
+  } catch (err) {
+    console.warn('Audio devices unavailable', err);
+  }
+}
+
 function updateRosterUI() {
+  if (rosterPointerDown) {
+    rosterNeedsUpdate = true;
+    return;
+  }
   if (!hasJoined) {
     playersLabel.textContent = 'Not connected';
+    rosterTitle.textContent = 'Campfire';
+    inviteCodeLabel.hidden = true;
     rosterList.innerHTML = '';
     selfNameLabel.textContent = 'Visitor';
     return;
   }
 
   playersLabel.textContent = `Connected: ${roster.size}`;
+  rosterTitle.textContent = network.roomName || 'Campfire';
+  inviteCodeLabel.hidden = !network.inviteCode;
+  inviteCodeLabel.textContent = network.inviteCode ? `Invite code: ${network.inviteCode}` : '';
   selfNameLabel.textContent = selfName || 'Campfire Guest';
 
   const players = Array.from(roster.values()).sort((a, b) => {
@@ -530,7 +1094,14 @@ function updateRosterUI() {
   rosterList.innerHTML = '';
   players.forEach((player) => {
     const li = document.createElement('li');
+    li.classList.toggle('speaking', Boolean(player.speaking));
+    const speakingIcon = document.createElement('span');
+    speakingIcon.className = 'speaking-icon';
+    speakingIcon.textContent = '🔊';
+    speakingIcon.title = 'Speaking';
+    li.appendChild(speakingIcon);
     const nameSpan = document.createElement('span');
+    nameSpan.className = 'player-name';
     nameSpan.textContent = player.name;
     li.appendChild(nameSpan);
     if (player.isSelf) {
@@ -539,20 +1110,157 @@ function updateRosterUI() {
       tag.textContent = 'You';
       li.appendChild(tag);
     }
+    if (player.role === 'moderator') {
+      const tag = document.createElement('span');
+      tag.className = 'mod-tag';
+      tag.textContent = 'Mod';
+      li.appendChild(tag);
+    }
+    if (player.afk) {
+      const tag = document.createElement('span');
+      tag.className = 'afk-tag';
+      tag.textContent = 'AFK';
+      li.appendChild(tag);
+    }
+    if (!player.isSelf && network.role === 'moderator') {
+      const rename = document.createElement('button');
+      rename.type = 'button';
+      rename.className = 'roster-action';
+      rename.textContent = 'Rename';
+      rename.addEventListener('click', () => {
+        const name = window.prompt(`Rename ${player.name} to:`, player.name)?.trim();
+        if (name && name !== player.name) {
+          network.renamePlayer(player.id, name);
+        }
+      });
+      li.appendChild(rename);
+    }
+    const voiceStatus = player.isSelf ? null : voice.getPeerStatus(player.id);
+    if (voiceStatus) {
+      const status = document.createElement('span');
+      status.className = 'voice-status';
+      status.dataset.status = voiceStatus;
+      status.textContent = voiceStatus;
+      status.title = `Voice ${voiceStatus}`;
+      li.appendChild(status);
+    }
+    if (typeof player.rtt === 'number') {
+      const latency = document.createElement('span');
+      latency.className = 'latency';
+      latency.textContent = `${player.rtt} ms`;
+      li.appendChild(latency);
+    }
+    if (!player.isSelf) {
+      li.appendChild(buildPeerAudioControls(player));
+    }
     rosterList.appendChild(li);
   });
 }
 
+function endSession(message = 'Connection lost. Click to reconnect.') {
+  showToast(message);
+  hasJoined = false;
+  chatPanel.clear();
+  voiceReady = false;
+  voiceSettings.setVoiceReady(false);
+  pendingSignals.length = 0;
+  muteButton.disabled = true;
+  audioModeButton.disabled = true;
+  fallbackManual = false;
+  fallbackAutoEnabled = false;
+  voice.setFallbackEnabled(false);
+  selfHealth = MAX_HEALTH;
+  selfAlive = true;
+  renderHearts();
+  hideDeathPanel();
+  playersLabel.textContent = 'Disconnected';
+  roster.clear();
+  remotePlayers.getIds().forEach((id) => remotePlayers.removePlayer(id));
+  voice.getPeers().forEach((id) => voice.handlePlayerLeft(id));
+  updateRosterUI();
+  showJoinPrompt();
+}
+
 function registerRemotePlayer(player) {
   remotePlayers.upsertPlayer(player);
   roster.set(player.id, {
     id: player.id,
     name: player.name,
-    isSelf: false
+    role: player.role,
+    afk: player.afk,
+    isSelf: false,
+    rtt: player.rtt ?? roster.get(player.id)?.rtt ?? null,
+    speaking: roster.get(player.id)?.speaking ?? false
   });
+  applyPeerAudio(roster.get(player.id));
   updateRosterUI();
 }
 
+function applyPeerAudio(entry) {
+  const { volume = 1, muted = false } = peerAudioPreferences[entry.name.toLowerCase()] ?? {};
+  voice.setPeerVolume(entry.id, volume);
+  voice.setPeerMuted(entry.id, muted);
+}
+
+function setPeerAudio(entry, patch) {
+  const settings = { ...voice.getPeerAudio(entry.id), ...patch };
+  voice.setPeerVolume(entry.id, settings.volume);
+  voice.setPeerMuted(entry.id, settings.muted);
+  // Re-inserting keeps the most recently touched names at the end.
+  const key = entry.name.toLowerCase();
+  delete peerAudioPreferences[key];
+  if (settings.volume !== 1 || settings.muted) {
+    peerAudioPreferences[key] = settings;
+  }
+  const keys = Object.keys(peerAudioPreferences);
+  keys.slice(0, keys.length - MAX_PEER_AUDIO_PREFERENCES).forEach((name) => {
+    delete peerAudioPreferences[name];
+  });
+  schedulePreferenceSave({ peerAudio: { ...peerAudioPreferences } });
+}
+
+function buildPeerAudioControls(entry) {
+  const { volume, muted } = voice.getPeerAudio(entry.id);
+  const controls = document.createElement('div');
+  controls.className = 'roster-audio';
+
+  const mute = document.createElement('button');
+  mute.type = 'button';
+  mute.className = 'roster-action';
+  mute.textContent = muted ? 'Unmute' : 'Mute';
+  mute.title = `${muted ? 'Unmute' : 'Mute'} ${entry.name} for you only`;
+  mute.setAttribute('aria-pressed', muted ? 'true' : 'false');
+  mute.addEventListener('click', () => {
+    setPeerAudio(entry, { muted: !muted });
+    updateRosterUI();
+  });
+
+  const slider = document.createElement('input');
+  slider.type = 'range';
+  slider.min = '0';
+  slider.max = '200';
+  slider.step = '5';
+  slider.value = String(Math.round(volume * 100));
+  slider.disabled = muted;
+  slider.setAttribute('aria-label', `Volume for ${entry.name}`);
+
+  const readout = document.createElement('span');
+  readout.className = 'roster-volume';
+  readout.textContent = `${slider.value}%`;
+  slider.addEventListener('input', () => {
+    readout.textContent = `${slider.value}%`;
+    setPeerAudio(entry, { volume: Number(slider.value) / 100 });
+  });
+
+  controls.append(mute, slider, readout);
+  return controls;
+}
+
+function setInInterest(id, inInterest) {
+  remotePlayers.setInInterest(id, inInterest);
+  voice.setInInterest(id, inInterest);
+}
+
 function unregisterRemotePlayer(id) {
   remotePlayers.removePlayer(id);
   roster.delete(id);
@@ -611,19 +1319,12 @@ function maybeInitiatePeer(id) {
     return;
   }
   voice.ensurePeer(id);
-  if (shouldInitiateCall(id)) {
+  if (voice.isCaller(id)) {
     voice.createOffer(id);
   }
   applyFallbackState();
 }
 
-function shouldInitiateCall(remoteId) {
-  if (!network.playerId) {
-    return false;
-  }
-  return network.playerId.localeCompare(remoteId) < 0;
-}
-
 function updateMuteButton() {
   muteButton.textContent = voice.muted ? 'Unmute' : 'Mute';
   muteButton.setAttribute('aria-pressed', voice.muted ? 'true' : 'false');
@@ -757,23 +1458,27 @@ function flashScreen() {
 function showJoinPrompt() {
   overlay.dataset.mode = 'join';
   nameBlock.style.display = '';
-  nameInput.disabled = false;
+  roomBrowserRoot.style.display = '';
+  roomBrowser.refresh();
   enterButton.disabled = false;
   enterButton.textContent = hasJoined ? 'Reconnect' : 'Join the courtyard';
   hintText.innerHTML =
-    'Voice chat requires microphone access.<br />Use <strong>WASD</strong> to move &bull; <strong>Space</strong> to hop &bull; Mouse to look &bull; Esc to release cursor';
+    'Voice chat requires microphone access.<br />Use <strong>WASD</strong> to move &bull; <strong>Space</strong> to hop &bull; Mouse to look &bull; Enter to chat &bull; Esc to release cursor';
   overlay.classList.remove('hidden');
 }
 
 function showResumePrompt() {
   overlay.dataset.mode = 'resume';
-  nameBlock.style.display = 'none';
+  nameBlock.style.display = '';
+  roomBrowserRoot.style.display = 'none';
   enterButton.disabled = false;
   enterButton.textContent = 'Click to resume';
-  hintText.textContent = 'Pointer lock released. Click to continue walking.';
+  hintText.textContent = 'Pointer lock released. Edit your name above to rename, or click to continue walking.';
   overlay.classList.remove('hidden');
 }
 
 hideDeathPanel();
 renderHearts();
+roomBrowser.setCode(new URLSearchParams(window.location.search).get('room'));
 showJoinPrompt();
+loadProfile();
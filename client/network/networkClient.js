@@ -1,11 +1,85 @@
 // Stack: Minimal WebSocket client for realtime player state sync via the Node.js backend.
+import {
+  WIRE_VERSIONS,
+  decodeMessage,
+  encodeStateUpdate,
+  formatWireVersions
+} from '../../shared/wireFormat.js';
+import {
+  FATAL_ERROR_CODES,
+  KICKED_CLOSE_CODE,
+  PROTOCOL_CLOSE_CODE,
+  PROTOCOL_VERSION,
+  ProtocolError,
+  RATE_LIMITED_CLOSE_CODE,
+  SERVER_MESSAGES,
+  parseMessage,
+  validateMessage
+} from '../../shared/protocol.js';
+
+const RECONNECT_BASE_DELAY_MS = 500;
+const RECONNECT_MAX_DELAY_MS = 15000;
+const MAX_RECONNECT_ATTEMPTS = 10;
+const MAX_OUTBOX_SIZE = 50;
+const PING_INTERVAL_MS = 2000;
+const PING_TIMEOUT_MS = 5000;
+const LOSS_WINDOW = 20;
+
+// What happens to an outgoing message while the socket is down. High-rate or time-sensitive
+// kinds are dropped; anything else is queued and flushed once the session is back.
+const OFFLINE_POLICY = {
+  'state-update': 'drop',
+  attack: 'drop',
+  'rtc-offer': 'drop',
+  'rtc-answer': 'drop',
+  'rtc-ice': 'drop',
+  ping: 'drop'
+};
+
+/**
+ * Raised by `NetworkClient.join` when the server refuses entry to a room.
+ * `code` is one of: room-full, invite-required, password-required, wrong-password,
+ * too-many-attempts.
+ */
+export class JoinRejectedError extends Error {
+  constructor(code, message, roomId = null) {
+    super(message || `Join rejected: ${code}`);
+    this.name = 'JoinRejectedError';
+    this.code = code;
+    this.roomId = roomId;
+  }
+}
+
 export class NetworkClient extends EventTarget {
   constructor() {
     super();
     this.socket = null;
     this.playerId = null;
+    this.roomId = null;
+    this.roomName = null;
+    this.inviteCode = null;
+    this.name = null;
+    this.role = null;
+    this.commands = [];
+    this.resumeToken = null;
     this.pendingJoin = null;
+    this.lastJoin = null;
     this.joinDeferred = null;
+    this.reconnecting = false;
+    this.reconnectAttempt = 0;
+    this.reconnectTimer = null;
+    this.resumedSession = false;
+    this.previousPlayerId = null;
+    this.outbox = [];
+    this.correctionAck = 0;
+    this.pingTimer = null;
+    this.pingSeq = 0;
+    this.pendingPings = new Map();
+    this.pingResults = [];
+    this.latency = { rtt: null, jitter: 0, loss: 0, quality: 0 };
+    this.wireVersion = null;
+    this.playerIndex = new Map();
+    this.fatalError = null;
     this.boundOnMessage = this._onMessage.bind(this);
     this.boundOnClose = this._onClose.bind(this);
   }
@@ -14,12 +88,35 @@ export class NetworkClient extends EventTarget {
     return this.socket && this.socket.readyState === WebSocket.OPEN;
   }
 
-  async join({ name, position, rotation, customization }) {
-    this.pendingJoin = { name, position, rotation, customization };
+  async join({
+    name,
+    position,
+    rotation,
+    customization,
+    roomId,
+    password,
+    create,
+    moderatorKey,
+    profileToken
+  }) {
+    this.pendingJoin = {
+      name,
+      position,
+      rotation,
+      customization,
+      roomId,
+      password,
+      create,
+      moderatorKey,
+      profileToken
+    };
+    this.lastJoin = this.pendingJoin;
 
     if (this.connected && this.playerId) {
+      // Retrying after a rejection: the socket stays open, but the answer is still pending.
+      const joined = this._waitForJoin();
       this._sendJoin(this.pendingJoin);
-      return this.playerId;
+      return joined;
     }
 
     if (this.socket && this.socket.readyState === WebSocket.CONNECTING) {
@@ -30,66 +127,204 @@ export class NetworkClient extends EventTarget {
     return this._waitForJoin();
   }
 
+  async listRooms() {
+    const response = await fetch('/api/rooms', { headers: { Accept: 'application/json' } });
+    if (!response.ok) {
+      throw new Error(`Room list request failed (${response.status})`);
+    }
+    const data = await response.json();
+    return Array.isArray(data?.rooms) ? data.rooms : [];
+  }
+
+  /**
+   * Uploads a PNG face picture (as a data URL) and resolves to `{ hash, url }`.
+   */
+  async uploadFace(dataUrl) {
+    const image = await (await fetch(dataUrl)).blob();
+    const response = await fetch('/api/avatars', {
+      method: 'POST',
+      headers: { 'Content-Type': 'image/png' },
+      body: image
+    });
+    const data = await response.json().catch(() => null);
+    if (!response.ok || !data?.hash) {
+      throw new Error(data?.message ?? `Face upload failed (${response.status})`);
+    }
+    return data;
+  }
+
   sendState({ position, rotation }) {
-    if (!this.connected || !this.playerId) {
+    const payload = { position, rotation, ack: this.correctionAck || undefined };
+    if (this.wireVersion && this._isLive()) {
+      this.socket.send(encodeStateUpdate(payload, this.wireVersion));
       return;
     }
-    const payload = {
-      type: 'state-update',
-      payload: {
-        position,
-        rotation
-      }
-    };
-    this.socket.send(JSON.stringify(payload));
+    this._send('state-update', payload);
+  }
+
+  sendCustomization(customization) {
+    this._send('customization-update', { customization });
+  }
+
+  /**
+   * Asks for a new display name. The server may suffix it to keep names unique and answers
+   * with `player-renamed`, or an `error` with ref "rename" if the name is not allowed.
+   */
+  rename(name) {
+    this._send('rename', { name });
+  }
+
+  // Moderators only.
+  renamePlayer(id, name) {
+    this._send('rename', { name, target: id });
+  }
+
+  sendChat(text) {
+    this._send('chat', { text });
   }
 
   sendSignal(type, payload) {
-    if (!this.connected || !this.playerId) {
-      return;
-    }
-    this.socket.send(
-      JSON.stringify({
-        type,
-        payload
-      })
-    );
+    this._send(type, payload);
   }
 
   sendAttack() {
-    this._sendSimple('attack');
+    this._send('attack');
   }
 
   sendRespawn() {
-    this._sendSimple('respawn');
+    this._send('respawn');
   }
 
-  _sendSimple(type, payload) {
-    if (!this.connected || !this.playerId) {
+  _isLive() {
+    return this.connected && this.playerId && !this.reconnecting;
+  }
+
+  _send(type, payload) {
+    if (this._isLive()) {
+      this.socket.send(JSON.stringify({ type, payload }));
       return;
     }
-    this.socket.send(
-      JSON.stringify({
-        type,
-        payload
-      })
-    );
+    if (!this.reconnecting || OFFLINE_POLICY[type] === 'drop') {
+      return;
+    }
+    if (this.outbox.length >= MAX_OUTBOX_SIZE) {
+      this.outbox.shift();
+    }
+    this.outbox.push({ type, payload });
+  }
+
+  _startPing() {
+    if (this.pingTimer) {
+      return;
+    }
+    this._sendPing();
+    this.pingTimer = setInterval(() => this._sendPing(), PING_INTERVAL_MS);
+  }
+
+  _stopPing() {
+    clearInterval(this.pingTimer);
+    this.pingTimer = null;
+    this.pendingPings.clear();
+  }
+
+  _sendPing() {
+    const now = performance.now();
+    this.pendingPings.forEach((sentAt, seq) => {
+      if (now - sentAt > PING_TIMEOUT_MS) {
+        this.pendingPings.delete(seq);
+        this._recordPingResult(false);
+      }
+    });
+    this.pingSeq += 1;
+    this.pendingPings.set(this.pingSeq, now);
+    this._send('ping', { seq: this.pingSeq, t: now });
+  }
+
+  _handlePong({ seq, t } = {}) {
+    if (!this.pendingPings.has(seq)) {
+      return;
+    }
+    this.pendingPings.delete(seq);
+    const sample = performance.now() - t;
+    const { rtt } = this.latency;
+    if (rtt === null) {
+      this.latency.rtt = sample;
+    } else {
+      // RFC 3550 style: smoothed RTT plus mean deviation between consecutive samples.
+      this.latency.jitter += (Math.abs(sample - rtt) - this.latency.jitter) / 16;
+      this.latency.rtt = rtt * 0.8 + sample * 0.2;
+    }
+    this._recordPingResult(true);
+  }
+
+  _recordPingResult(received) {
+    this.pingResults.push(received);
+    if (this.pingResults.length > LOSS_WINDOW) {
+      this.pingResults.shift();
+    }
+    const lost = this.pingResults.filter((ok) => !ok).length;
+    this.latency.loss = lost / this.pingResults.length;
+    this.latency.quality = rateConnection(this.latency);
+    this.dispatchEvent(new CustomEvent('latency', { detail: { ...this.latency } }));
+  }
+
+  _resetLatency() {
+    this.pingResults = [];
+    this.latency = { rtt: null, jitter: 0, loss: 0, quality: 0 };
+    this.dispatchEvent(new CustomEvent('latency', { detail: { ...this.latency } }));
+  }
+
+  _flushOutbox() {
+    const queued = this.outbox;
+    this.outbox = [];
+    queued.forEach(({ type, payload }) => this._send(type, payload));
   }
 
   dispose() {
+    this._stopPing();
+    this._stopReconnecting();
+    this.lastJoin = null;
+    this._closeSocket();
+    this._resetSession();
+  }
+
+  _resetSession() {
+    this.playerId = null;
+    this.roomId = null;
+    this.roomName = null;
+    this.inviteCode = null;
+    this.name = null;
+    this.role = null;
+    this.commands = [];
+    this.resumeToken = null;
+    this.wireVersion = null;
+    this.playerIndex.clear();
+  }
+
+  _closeSocket() {
     if (this.socket) {
       this.socket.removeEventListener('message', this.boundOnMessage);
       this.socket.removeEventListener('close', this.boundOnClose);
-      this.socket.close();
+      // 1000 tells the server we left on purpose, so it drops us instead of holding the session.
+      this.socket.close(1000);
       this.socket = null;
     }
   }
 
-  _createSocket() {
+  _createSocket(resumeToken) {
     const protocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
-    const url = `${protocol}://${window.location.host}/ws`;
+    const params = new URLSearchParams({ wire: formatWireVersions() });
+    if (resumeToken) {
+      params.set('resume', resumeToken);
+    }
+    const url = `${protocol}://${window.location.host}/ws?${params}`;
 
-    this.socket = new WebSocket(url);
+    const socket = new WebSocket(url);
+    this.socket = socket;
+    this.socket.binaryType = 'arraybuffer';
+    socket.addEventListener('open', () => {
+      socket.send(JSON.stringify({ type: 'hello', payload: { version: PROTOCOL_VERSION } }));
+    });
     this.socket.addEventListener('message', this.boundOnMessage);
     this.socket.addEventListener('close', this.boundOnClose);
     this.socket.addEventListener('error', (event) => {
@@ -118,53 +353,144 @@ export class NetworkClient extends EventTarget {
   }
 
   _onMessage(event) {
-    let data;
-    try {
-      data = JSON.parse(event.data);
-    } catch (err) {
-      console.warn('Failed to parse message', err);
-      return;
-    }
-    if (!data?.type) {
+    const result =
+      event.data instanceof ArrayBuffer
+        ? parseBinaryMessage(event.data)
+        : parseMessage(SERVER_MESSAGES, event.data);
+    if (!result.ok) {
+      this._reportProtocolError(result.error);
       return;
     }
+    const data = { type: result.type, payload: result.payload };
 
     switch (data.type) {
-      case 'welcome':
+      case 'welcome': {
+        const previousId = this.playerId;
         this.playerId = data.payload?.id ?? null;
+        if (this.playerId !== previousId) {
+          this.correctionAck = 0;
+        }
+        this.resumeToken = data.payload?.resumeToken ?? null;
+        this.wireVersion = WIRE_VERSIONS.includes(data.payload?.wire) ? data.payload.wire : null;
+        if (this.reconnecting) {
+          this.resumedSession = Boolean(data.payload?.resumed);
+          this.previousPlayerId = previousId;
+          if (!this.resumedSession) {
+            // The server no longer holds our session, so rejoin the same room under a new id.
+            this.pendingJoin = this.lastJoin;
+          }
+        }
         if (this.playerId && this.pendingJoin) {
           this._sendJoin(this.pendingJoin);
         }
         break;
+      }
 
       case 'room-state':
+        this.roomId = data.payload?.roomId ?? null;
+        this.roomName = data.payload?.roomName ?? null;
+        this.inviteCode = data.payload?.inviteCode ?? null;
+        this.name = data.payload.you.name;
+        this.role = data.payload.you.role;
+        this.commands = data.payload.commands;
+        this.playerIndex.clear();
+        (data.payload?.players ?? []).forEach((player) => this._indexPlayer(player));
+        if (this.lastJoin) {
+          // Later rejoins should land back in this room rather than create another one.
+          this.lastJoin = {
+            ...this.lastJoin,
+            name: this.name,
+            roomId: this.inviteCode ?? this.roomId,
+            create: undefined
+          };
+        }
         if (this.joinDeferred) {
           this.joinDeferred.resolve(this.playerId);
           this.joinDeferred = null;
         }
+        if (this.reconnecting) {
+          this._finishReconnect();
+        }
+        if (data.payload?.self) {
+          this.dispatchEvent(new CustomEvent('resumed', { detail: data.payload.self }));
+        }
+        this.dispatchEvent(new CustomEvent('chat-history', { detail: data.payload.chat }));
         this.dispatchEvent(
           new CustomEvent('room-state', {
             detail: data.payload?.players ?? []
           })
         );
         this.dispatchEvent(new Event('ready'));
+        this._flushOutbox();
+        this._startPing();
+        break;
+
+      case 'pong':
+        this._handlePong(data.payload);
+        break;
+
+      case 'error': {
+        const { code, message, ref } = data.payload;
+        const error = new ProtocolError(code, message, ref ?? null);
+        if (FATAL_ERROR_CODES.includes(code)) {
+          // The server closes the socket right after; _onClose stops there instead of retrying.
+          this.fatalError = error;
+          break;
+        }
+        this._reportProtocolError(error);
+        if (ref === 'join' && this.joinDeferred) {
+          this.joinDeferred.reject(error);
+          this.joinDeferred = null;
+        }
+        break;
+      }
+
+      case 'position-correction':
+        this.correctionAck = data.payload?.correction ?? this.correctionAck;
+        this.dispatchEvent(
+          new CustomEvent('position-correction', { detail: data.payload })
+        );
+        break;
+
+      case 'join-rejected':
+        if (this.reconnecting) {
+          console.warn('Rejoin rejected after reconnect', data.payload?.code);
+          this._giveUp();
+          break;
+        }
+        if (this.joinDeferred) {
+          this.joinDeferred.reject(
+            new JoinRejectedError(
+              data.payload?.code ?? 'unknown',
+              data.payload?.message,
+              data.payload?.roomId ?? null
+            )
+          );
+          this.joinDeferred = null;
+        }
         break;
 
       case 'player-joined':
+        this._indexPlayer(data.payload?.player);
         this.dispatchEvent(
           new CustomEvent('player-joined', { detail: data.payload?.player })
         );
         break;
 
       case 'player-left':
+        this.playerIndex.forEach((id, index) => {
+          if (id === data.payload?.id) {
+            this.playerIndex.delete(index);
+          }
+        });
         this.dispatchEvent(
           new CustomEvent('player-left', { detail: data.payload?.id })
         );
         break;
 
-      case 'state-update':
+      case 'snapshot':
         this.dispatchEvent(
-          new CustomEvent('state-update', { detail: data.payload })
+          new CustomEvent('snapshot', { detail: this._resolveSnapshot(data.payload) })
         );
         break;
 
@@ -178,10 +504,27 @@ export class NetworkClient extends EventTarget {
         );
         break;
 
+      case 'player-renamed':
+        // Rejoining after a lost session should keep the name we were last given.
+        if (data.payload.id === this.playerId) {
+          this.name = data.payload.name;
+          if (this.lastJoin) {
+            this.lastJoin.name = data.payload.name;
+          }
+        }
+        this.dispatchEvent(new CustomEvent('player-renamed', { detail: data.payload }));
+        break;
+
       case 'attack':
       case 'health-update':
       case 'player-respawned':
       case 'respawned':
+      case 'latency-update':
+      case 'customization-update':
+      case 'chat':
+      case 'player-afk':
+      case 'interest-enter':
+      case 'interest-leave':
         this.dispatchEvent(
           new CustomEvent(data.type, {
             detail: data.payload
@@ -194,13 +537,114 @@ export class NetworkClient extends EventTarget {
     }
   }
 
-  _onClose() {
+  _reportProtocolError(error) {
+    console.warn('[network] protocol error', error.code, error.message);
+    this.dispatchEvent(new CustomEvent('protocol-error', { detail: error }));
+  }
+
+  _indexPlayer(player) {
+    if (player?.id && Number.isInteger(player.index)) {
+      this.playerIndex.set(player.index, player.id);
+    }
+  }
+
+  // Binary snapshots carry room indexes instead of ids; map them back for the rest of the client.
+  _resolveSnapshot(snapshot) {
+    const players = (snapshot?.players ?? [])
+      .map((player) => (player.id ? player : { ...player, id: this.playerIndex.get(player.index) }))
+      .filter((player) => player.id);
+    return { ...snapshot, players };
+  }
+
+  _onClose(event) {
+    this._stopPing();
+    this._resetLatency();
+    const fatal =
+      this.fatalError ??
+      (event?.code === PROTOCOL_CLOSE_CODE
+        ? new ProtocolError('protocol-mismatch', event.reason || 'Handshake rejected')
+        : null);
+    this.fatalError = null;
     if (this.joinDeferred) {
-      this.joinDeferred.reject(new Error('Connection closed before join completed'));
+      this.joinDeferred.reject(fatal ?? new Error('Connection closed before join completed'));
       this.joinDeferred = null;
     }
-    this.playerId = null;
     this.socket = null;
+    if (fatal) {
+      // Retrying with the same build would only be refused again.
+      this.dispatchEvent(new CustomEvent('error', { detail: fatal }));
+      this._giveUp();
+      return;
+    }
+    if (event?.code === KICKED_CLOSE_CODE) {
+      this.dispatchEvent(new CustomEvent('kicked', { detail: { reason: event.reason || null } }));
+      this._giveUp();
+      return;
+    }
+    if (event?.code === RATE_LIMITED_CLOSE_CODE) {
+      // Reconnecting would hand a flooding client a fresh player and a fresh budget.
+      this.dispatchEvent(new Event('rate-limited'));
+      this._giveUp();
+      return;
+    }
+    if (this.reconnecting || this.roomId) {
+      this._scheduleReconnect();
+      return;
+    }
+    this._resetSession();
+    this.dispatchEvent(new Event('disconnected'));
+  }
+
+  _scheduleReconnect() {
+    if (!this.reconnecting) {
+      this.reconnecting = true;
+      this.reconnectAttempt = 0;
+    }
+    if (this.reconnectAttempt >= MAX_RECONNECT_ATTEMPTS) {
+      this._giveUp();
+      return;
+    }
+    const ceiling = Math.min(
+      RECONNECT_MAX_DELAY_MS,
+      RECONNECT_BASE_DELAY_MS * 2 ** this.reconnectAttempt
+    );
+    const delay = ceiling / 2 + Math.random() * (ceiling / 2);
+    this.reconnectAttempt += 1;
+    this.dispatchEvent(
+      new CustomEvent('reconnecting', {
+        detail: { attempt: this.reconnectAttempt, delay }
+      })
+    );
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this._createSocket(this.resumeToken);
+    }, delay);
+  }
+
+  _finishReconnect() {
+    const detail = {
+      resumed: this.resumedSession,
+      previousId: this.previousPlayerId
+    };
+    this.reconnecting = false;
+    this.reconnectAttempt = 0;
+    this.resumedSession = false;
+    this.previousPlayerId = null;
+    this.dispatchEvent(new CustomEvent('reconnected', { detail }));
+  }
+
+  _stopReconnecting() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.reconnecting = false;
+    this.reconnectAttempt = 0;
+    this.outbox = [];
+  }
+
+  _giveUp() {
+    this._stopReconnecting();
+    this._closeSocket();
+    this._resetSession();
     this.dispatchEvent(new Event('disconnected'));
   }
 
@@ -214,10 +658,46 @@ export class NetworkClient extends EventTarget {
         name: payload.name,
         position: payload.position,
         rotation: payload.rotation,
-        customization: payload.customization
+        customization: payload.customization,
+        roomId: payload.roomId,
+        password: payload.password,
+        moderatorKey: payload.moderatorKey,
+        profileToken: payload.profileToken,
+        create: payload.create
       }
     };
     this.socket.send(JSON.stringify(message));
     this.pendingJoin = null;
   }
 }
+
+function parseBinaryMessage(data) {
+  const decoded = decodeMessage(data);
+  if (!decoded) {
+    return { ok: false, error: new ProtocolError('bad-frame', 'Binary frame could not be decoded') };
+  }
+  return validateMessage(SERVER_MESSAGES, decoded);
+}
+
+/**
+ * Maps measured latency onto a 0-4 signal strength; 0 means no measurement yet.
+ */
+function rateConnection({ rtt, jitter, loss }) {
+  if (rtt === null) {
+    return 0;
+  }
+  if (loss > 0.2) {
+    return 1;
+  }
+  const score = rtt + jitter * 2 + loss * 500;
+  if (score < 120) {
+    return 4;
+  }
+  if (score < 250) {
+    return 3;
+  }
+  if (score < 450) {
+    return 2;
+  }
+  return 1;
+}
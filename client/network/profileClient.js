@@ -0,0 +1,110 @@
+// Stack: Fetch-based client for the player's server-side profile, keyed by a token kept in localStorage.
+
+const TOKEN_STORAGE_KEY = 'campfire_profile_token';
+
+/**
+ * Holds this device's profile. `load()` restores it from the stored token or creates a fresh
+ * one; copying the token to another browser and calling `useToken()` there brings it along.
+ * Dispatches `change` with the profile whenever the server returns a newer copy.
+ */
+export class ProfileClient extends EventTarget {
+  constructor() {
+    super();
+    this.token = readToken();
+    this.profile = null;
+  }
+
+  get preferences() {
+    return this.profile?.preferences ?? {};
+  }
+
+  async load() {
+    if (this.token) {
+      try {
+        return await this._fetch('GET');
+      } catch (err) {
+        if (err.code !== 'unknown-profile') {
+          throw err;
+        }
+      }
+    }
+    const response = await fetch('/api/profiles', { method: 'POST' });
+    const data = await readResponse(response);
+    this._setToken(data.token);
+    return this._accept(data.profile);
+  }
+
+  /**
+   * Switches this browser to the profile behind `token` and resolves to it. The current token
+   * is kept if the new one is not recognised.
+   */
+  async useToken(token) {
+    const previous = this.token;
+    this.token = token.trim();
+    try {
+      const profile = await this._fetch('GET');
+      this._setToken(this.token);
+      return profile;
+    } catch (err) {
+      this.token = previous;
+      throw err;
+    }
+  }
+
+  /**
+   * Saves `{ name, customization, preferences }`; any field may be left out. Preferences are
+   * merged into the stored ones rather than replacing them.
+   */
+  async update(changes) {
+    if (!this.token) {
+      return null;
+    }
+    return this._fetch('PATCH', changes);
+  }
+
+  async _fetch(method, body) {
+    const response = await fetch('/api/profile', {
+      method,
+      headers: {
+        Authorization: `Bearer ${this.token}`,
+        ...(body ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await readResponse(response);
+    return this._accept(data.profile);
+  }
+
+  _accept(profile) {
+    this.profile = profile;
+    this.dispatchEvent(new CustomEvent('change', { detail: profile }));
+    return profile;
+  }
+
+  _setToken(token) {
+    this.token = token;
+    try {
+      localStorage.setItem(TOKEN_STORAGE_KEY, token);
+    } catch (error) {
+      console.warn('Failed to save profile token:', error);
+    }
+  }
+}
+
+function readToken() {
+  try {
+    return localStorage.getItem(TOKEN_STORAGE_KEY);
+  } catch {
+    return null;
+  }
+}
+
+async function readResponse(response) {
+  const data = await response.json().catch(() => null);
+  if (!response.ok || !data) {
+    const error = new Error(data?.message ?? `Profile request failed (${response.status})`);
+    error.code = data?.error ?? null;
+    throw error;
+  }
+  return data;
+}
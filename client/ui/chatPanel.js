@@ -0,0 +1,187 @@
+// Stack: Text chat log and input box, rendered as a HUD panel that opens over the scene.
+
+const MAX_LINES = 100;
+const MAX_LENGTH = 280;
+
+export class ChatPanel extends EventTarget {
+    /**
+     * @param {HTMLElement} root - Container that receives the chat markup
+     */
+    constructor(root) {
+        super();
+        this.root = root;
+        this.isOpen = false;
+        this.commands = [];
+
+        this.root.classList.add('chat-panel');
+        this.root.innerHTML = `
+            <ul data-role="chat-log" aria-live="polite"></ul>
+            <form data-role="chat-form">
+                <ul data-role="chat-suggestions" hidden></ul>
+                <input type="text" data-role="chat-input" maxlength="${MAX_LENGTH}" autocomplete="off" placeholder="Say something… (Enter to send, Esc to close)" />
+            </form>
+        `;
+
+        this.log = this.root.querySelector('[data-role="chat-log"]');
+        this.form = this.root.querySelector('[data-role="chat-form"]');
+        this.input = this.root.querySelector('[data-role="chat-input"]');
+        this.suggestions = this.root.querySelector('[data-role="chat-suggestions"]');
+
+        this.form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            const text = this.input.value.trim();
+            this.input.value = '';
+            if (text) {
+                this._emit('send', text);
+            }
+            this.close();
+        });
+        this.input.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                this.close();
+            } else if (event.key === 'Tab') {
+                event.preventDefault();
+                const [first] = this._matchingCommands();
+                if (first) {
+                    this._complete(first.name);
+                }
+            }
+        });
+        this.input.addEventListener('input', () => this._renderSuggestions());
+    }
+
+    open() {
+        if (this.isOpen) {
+            return;
+        }
+        this.isOpen = true;
+        this.root.classList.add('open');
+        this.input.focus();
+        this._scrollToEnd();
+        this._emit('open');
+    }
+
+    close() {
+        if (!this.isOpen) {
+            return;
+        }
+        this.isOpen = false;
+        this.root.classList.remove('open');
+        this.suggestions.hidden = true;
+        this.input.blur();
+        this._emit('close');
+    }
+
+    /**
+     * Slash commands offered while typing a line that starts with "/".
+     * @param {Array<{ name: string, usage: string, description: string }>} commands
+     */
+    setCommands(commands) {
+        this.commands = commands;
+        this._renderSuggestions();
+    }
+
+    /**
+     * Replaces the log with a room's history.
+     * @param {Array<{ kind: string, from: string|null, name: string|null, text: string, time: number, mentions: string[] }>} entries
+     * @param {string|null} selfId - Lines mentioning this id are highlighted
+     */
+    setHistory(entries, selfId) {
+        this.log.innerHTML = '';
+        entries.forEach((entry) => this.addMessage(entry, selfId));
+    }
+
+    addMessage({ kind = 'say', from, name, toName, text, time, mentions = [] }, selfId) {
+        const item = document.createElement('li');
+        item.classList.add(kind);
+        if (from === selfId) {
+            item.classList.add('self');
+        }
+        if (selfId && mentions.includes(selfId)) {
+            item.classList.add('mention');
+        }
+        const stamp = document.createElement('time');
+        stamp.dateTime = new Date(time).toISOString();
+        stamp.textContent = new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        item.appendChild(stamp);
+        const label = formatAuthor(kind, name, toName, from === selfId);
+        if (label) {
+            const author = document.createElement('strong');
+            author.textContent = label;
+            item.appendChild(author);
+        }
+        const body = document.createElement('span');
+        body.textContent = text;
+        item.appendChild(body);
+        this.log.appendChild(item);
+        while (this.log.children.length > MAX_LINES) {
+            this.log.firstElementChild.remove();
+        }
+        this._scrollToEnd();
+    }
+
+    clear() {
+        this.log.innerHTML = '';
+        this.input.value = '';
+        this.close();
+    }
+
+    _matchingCommands() {
+        const match = /^\/(\S*)$/.exec(this.input.value);
+        if (!match) {
+            return [];
+        }
+        const prefix = match[1].toLowerCase();
+        return this.commands.filter((command) => command.name.startsWith(prefix));
+    }
+
+    _renderSuggestions() {
+        const matches = this._matchingCommands();
+        this.suggestions.innerHTML = '';
+        this.suggestions.hidden = matches.length === 0;
+        matches.forEach((command) => {
+            const item = document.createElement('li');
+            const usage = document.createElement('strong');
+            usage.textContent = command.usage;
+            const description = document.createElement('span');
+            description.textContent = command.description;
+            item.append(usage, description);
+            // mousedown rather than click so the input keeps focus.
+            item.addEventListener('mousedown', (event) => {
+                event.preventDefault();
+                this._complete(command.name);
+            });
+            this.suggestions.appendChild(item);
+        });
+    }
+
+    _complete(name) {
+        this.input.value = `/${name} `;
+        this._renderSuggestions();
+        this.input.focus();
+    }
+
+    _scrollToEnd() {
+        this.log.scrollTop = this.log.scrollHeight;
+    }
+
+    _emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+}
+
+function formatAuthor(kind, name, toName, isSelf) {
+    switch (kind) {
+        case 'emote':
+            return `* ${name}`;
+        case 'roll':
+            return `🎲 ${name}`;
+        case 'whisper':
+            return isSelf ? `To ${toName}:` : `${name} whispers:`;
+        case 'notice':
+            return null;
+        default:
+            return name;
+    }
+}
@@ -6,7 +6,9 @@ const DEFAULT_SETTINGS = {
     headColor: '#f5d8b4',
     bodyColor: '#7a8899',
     clothing: 'Torso1',
-    faceImage: null
+    faceImage: null,
+    // Content hash of faceImage once uploaded; this is what other players receive.
+    faceHash: null
 };
 
 class CustomizationManager extends EventTarget {
@@ -31,6 +33,10 @@ class CustomizationManager extends EventTarget {
         return this.settings.faceImage;
     }
 
+    get faceHash() {
+        return this.settings.faceHash;
+    }
+
     setHeadColor(color) {
         if (this.settings.headColor !== color) {
             this.settings.headColor = color;
@@ -57,20 +63,52 @@ class CustomizationManager extends EventTarget {
 
     setFaceImage(imageDataUrl) {
         this.settings.faceImage = imageDataUrl;
+        this.settings.faceHash = null;
         this._save();
         this._emit('change', { field: 'faceImage', value: imageDataUrl });
     }
 
     clearFaceImage() {
         this.settings.faceImage = null;
+        this.settings.faceHash = null;
         this._save();
         this._emit('change', { field: 'faceImage', value: null });
     }
 
+    setFaceHash(hash) {
+        this.settings.faceHash = hash;
+        this._save();
+    }
+
     getSettings() {
         return { ...this.settings };
     }
 
+    // What goes over the network: everything except the local face picture itself.
+    getSharedSettings() {
+        const { faceImage, ...shared } = this.settings;
+        return shared;
+    }
+
+    /**
+     * Adopts a look saved elsewhere (the player's profile). Only the face hash is stored there,
+     * so the uploaded copy stands in for the local picture. Emits `reset` with the new settings.
+     */
+    applySharedSettings({ headColor, bodyColor, clothing, faceHash = null }) {
+        const next = { ...this.settings };
+        if (headColor) next.headColor = headColor;
+        if (bodyColor) next.bodyColor = bodyColor;
+        if (clothing) next.clothing = clothing;
+        // A picture that has not been uploaded yet has no hash; keep it rather than drop it.
+        if (faceHash !== next.faceHash && (faceHash || next.faceHash)) {
+            next.faceHash = faceHash;
+            next.faceImage = faceHash ? `/avatars/${faceHash}.png` : null;
+        }
+        this.settings = next;
+        this._save();
+        this._emit('reset', this.getSettings());
+    }
+
     reset() {
         this.settings = { ...DEFAULT_SETTINGS };
         this._save();
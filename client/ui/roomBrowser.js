@@ -0,0 +1,151 @@
+// Stack: Lobby list of live rooms with join-by-code and create controls, rendered inside the join overlay.
+
+const DEFAULT_ROOM_ID = 'default';
+
+export class RoomBrowser extends EventTarget {
+    /**
+     * @param {HTMLElement} root - Container that receives the lobby markup
+     * @param {{ listRooms: () => Promise<Array<{ id: string, name: string, players: number, capacity: number, locked: boolean }>> }} source
+     */
+    constructor(root, source) {
+        super();
+        this.root = root;
+        this.source = source;
+        this.rooms = [];
+        this.loading = false;
+
+        this.root.classList.add('room-browser');
+        this.root.innerHTML = `
+            <div class="room-browser-header">
+                <h2>Campfires</h2>
+                <button type="button" data-role="refresh-rooms" class="secondary" title="Refresh">↻</button>
+            </div>
+            <ul data-role="room-list"></ul>
+            <div class="room-browser-row">
+                <input type="text" data-role="room-code" placeholder="Room or invite code" maxlength="32" />
+                <input type="password" data-role="room-password" placeholder="Password" maxlength="64" />
+            </div>
+            <div class="room-browser-row">
+                <input type="text" data-role="room-name" placeholder="New campfire name" maxlength="32" />
+                <button type="button" data-role="create-room">Create</button>
+            </div>
+            <div class="room-browser-row room-browser-options">
+                <label><input type="checkbox" data-role="room-private" /> Private</label>
+                <input type="password" data-role="room-create-password" placeholder="Password (optional)" maxlength="64" />
+            </div>
+        `;
+
+        this.list = this.root.querySelector('[data-role="room-list"]');
+        this.codeInput = this.root.querySelector('[data-role="room-code"]');
+        this.passwordInput = this.root.querySelector('[data-role="room-password"]');
+        this.nameInput = this.root.querySelector('[data-role="room-name"]');
+        this.privateInput = this.root.querySelector('[data-role="room-private"]');
+        this.createPasswordInput = this.root.querySelector('[data-role="room-create-password"]');
+        this.refreshButton = this.root.querySelector('[data-role="refresh-rooms"]');
+        this.createButton = this.root.querySelector('[data-role="create-room"]');
+
+        this.refreshButton.addEventListener('click', () => this.refresh());
+        this.codeInput.addEventListener('input', () => this._renderSelection());
+        this.createButton.addEventListener('click', () => {
+            this._emit('create', {
+                name: this.nameInput.value.trim(),
+                visibility: this.privateInput.checked ? 'private' : 'public',
+                password: this.createPasswordInput.value || undefined
+            });
+        });
+    }
+
+    /**
+     * Room the join button should target: the typed or selected code, falling back to the default courtyard.
+     * @returns {{ roomId: string, password?: string }}
+     */
+    getTarget() {
+        return {
+            roomId: this.codeInput.value.trim() || DEFAULT_ROOM_ID,
+            password: this.passwordInput.value || undefined
+        };
+    }
+
+    setCode(code) {
+        this.codeInput.value = code ?? '';
+        this.passwordInput.value = '';
+        this._renderSelection();
+    }
+
+    focusPassword() {
+        this.passwordInput.value = '';
+        this.passwordInput.focus();
+    }
+
+    setDisabled(disabled) {
+        this.root.querySelectorAll('button, input').forEach((element) => {
+            element.disabled = disabled;
+        });
+    }
+
+    async refresh() {
+        if (this.loading) {
+            return;
+        }
+        this.loading = true;
+        this.refreshButton.disabled = true;
+        try {
+            this.rooms = await this.source.listRooms();
+            this._render();
+        } catch (error) {
+            console.warn('Failed to load room list:', error);
+            this.rooms = [];
+            this._render('Unable to load campfires.');
+        } finally {
+            this.loading = false;
+            this.refreshButton.disabled = false;
+        }
+    }
+
+    _render(emptyMessage = 'No campfires yet. Create one below.') {
+        this.list.innerHTML = '';
+        if (this.rooms.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'room-empty';
+            empty.textContent = emptyMessage;
+            this.list.appendChild(empty);
+            return;
+        }
+        this.rooms.forEach((room) => {
+            const item = document.createElement('li');
+            item.dataset.roomId = room.id;
+            const full = room.players >= room.capacity;
+            if (full) {
+                item.classList.add('full');
+            }
+
+            const name = document.createElement('span');
+            name.className = 'room-name';
+            name.textContent = room.locked ? `🔒 ${room.name}` : room.name;
+            const count = document.createElement('span');
+            count.className = 'room-count';
+            count.textContent = `${room.players}/${room.capacity}`;
+            item.append(name, count);
+
+            item.addEventListener('click', () => {
+                if (full) {
+                    return;
+                }
+                this.setCode(room.id);
+            });
+            this.list.appendChild(item);
+        });
+        this._renderSelection();
+    }
+
+    _renderSelection() {
+        const { roomId } = this.getTarget();
+        this.list.querySelectorAll('li[data-room-id]').forEach((item) => {
+            item.classList.toggle('selected', item.dataset.roomId === roomId);
+        });
+    }
+
+    _emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+}
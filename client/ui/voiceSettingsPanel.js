@@ -0,0 +1,288 @@
+// Stack: Popover above the controls bar for voice input mode, audio devices and a mic test.
+import { DEFAULT_ACTIVATION_DB, INPUT_MODES } from '../audio/voiceClient.js';
+
+const METER_FLOOR_DB = -80;
+const METER_CEILING_DB = 0;
+// Keys that already move, hop, chat or release the cursor cannot be bound to push-to-talk.
+const RESERVED_KEYS = [
+    'Escape',
+    'Enter',
+    'Space',
+    'KeyW',
+    'KeyA',
+    'KeyS',
+    'KeyD',
+    'ArrowUp',
+    'ArrowDown',
+    'ArrowLeft',
+    'ArrowRight'
+];
+
+const DEFAULT_VOICE_SETTINGS = {
+    mode: 'open',
+    pushToTalkKey: 'KeyV',
+    activationThreshold: DEFAULT_ACTIVATION_DB,
+    inputDeviceId: null,
+    outputDeviceId: null
+};
+
+export class VoiceSettingsPanel extends EventTarget {
+    /**
+     * @param {HTMLElement} root - Container that receives the panel markup
+     */
+    constructor(root) {
+        super();
+        this.root = root;
+        this.isOpen = false;
+        this.settings = { ...DEFAULT_VOICE_SETTINGS };
+        this.bindingKey = false;
+        this.testingMic = false;
+
+        this.root.classList.add('voice-settings');
+        this.root.hidden = true;
+        this.root.innerHTML = `
+            <h2>Voice</h2>
+            <label class="voice-settings-row">
+                <span>Microphone</span>
+                <select data-role="input-device"></select>
+            </label>
+            <label class="voice-settings-row" data-role="output-row">
+                <span>Speakers</span>
+                <select data-role="output-device"></select>
+            </label>
+            <label class="voice-settings-row">
+                <span>Input mode</span>
+                <select data-role="voice-mode">
+                    <option value="open">Open mic</option>
+                    <option value="push-to-talk">Push to talk</option>
+                    <option value="voice-activation">Voice activation</option>
+                </select>
+            </label>
+            <div class="voice-settings-row" data-role="ptt-row">
+                <span>Talk key</span>
+                <button type="button" data-role="ptt-key" title="Click, then press the key to use"></button>
+            </div>
+            <label class="voice-settings-row" data-role="activation-row">
+                <span>Sensitivity</span>
+                <input type="range" data-role="activation-threshold" min="${METER_FLOOR_DB}" max="-10" step="1" />
+            </label>
+            <div class="voice-meter" data-role="input-meter" title="Mic level">
+                <i data-role="input-level"></i>
+                <b data-role="threshold-mark"></b>
+            </div>
+            <div class="voice-settings-row">
+                <span>Mic test</span>
+                <button type="button" data-role="mic-test" aria-pressed="false" disabled title="Join to test your mic">Hear myself</button>
+            </div>
+        `;
+
+        this.inputSelect = this.root.querySelector('[data-role="input-device"]');
+        this.outputRow = this.root.querySelector('[data-role="output-row"]');
+        this.outputSelect = this.root.querySelector('[data-role="output-device"]');
+        this.micTestButton = this.root.querySelector('[data-role="mic-test"]');
+        this.modeSelect = this.root.querySelector('[data-role="voice-mode"]');
+        this.pttRow = this.root.querySelector('[data-role="ptt-row"]');
+        this.pttButton = this.root.querySelector('[data-role="ptt-key"]');
+        this.activationRow = this.root.querySelector('[data-role="activation-row"]');
+        this.thresholdInput = this.root.querySelector('[data-role="activation-threshold"]');
+        this.levelBar = this.root.querySelector('[data-role="input-level"]');
+        this.thresholdMark = this.root.querySelector('[data-role="threshold-mark"]');
+
+        this._onBindKey = this._onBindKey.bind(this);
+
+        this.inputSelect.addEventListener('change', () => {
+            this._update({ inputDeviceId: this.inputSelect.value || null });
+        });
+        this.outputSelect.addEventListener('change', () => {
+            this._update({ outputDeviceId: this.outputSelect.value || null });
+        });
+        this.micTestButton.addEventListener('click', () => this._setMicTest(!this.testingMic));
+        this.modeSelect.addEventListener('change', () => {
+            this._update({ mode: this.modeSelect.value });
+        });
+        this.thresholdInput.addEventListener('input', () => {
+            this._update({ activationThreshold: Number(this.thresholdInput.value) });
+        });
+        this.pttButton.addEventListener('click', () => {
+            if (this.bindingKey) {
+                this._stopBinding();
+            } else {
+                this._startBinding();
+            }
+        });
+        this._render();
+    }
+
+    open() {
+        if (this.isOpen) {
+            return;
+        }
+        this.isOpen = true;
+        this.root.hidden = false;
+        this._emit('open');
+    }
+
+    close() {
+        if (!this.isOpen) {
+            return;
+        }
+        this._stopBinding();
+        this._setMicTest(false);
+        this.isOpen = false;
+        this.root.hidden = true;
+        this._emit('close');
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Shows stored settings without emitting `change`. Unknown or missing fields keep their defaults.
+     * @param {{ mode?: string, pushToTalkKey?: string, activationThreshold?: number }} settings
+     */
+    setSettings({ mode, pushToTalkKey, activationThreshold, inputDeviceId, outputDeviceId } = {}) {
+        this.settings = {
+            inputDeviceId: typeof inputDeviceId === 'string' ? inputDeviceId : null,
+            outputDeviceId: typeof outputDeviceId === 'string' ? outputDeviceId : null,
+            mode: INPUT_MODES.includes(mode) ? mode : DEFAULT_VOICE_SETTINGS.mode,
+            pushToTalkKey: typeof pushToTalkKey === 'string' ? pushToTalkKey : DEFAULT_VOICE_SETTINGS.pushToTalkKey,
+            activationThreshold: Number.isFinite(activationThreshold)
+                ? activationThreshold
+                : DEFAULT_VOICE_SETTINGS.activationThreshold
+        };
+        this._render();
+    }
+
+    /**
+     * Fills the device pickers. Before mic permission is granted browsers hide device names, so
+     * unnamed devices are numbered instead.
+     * @param {{ inputs: MediaDeviceInfo[], outputs: MediaDeviceInfo[] }} devices
+     * @param {{ canSelectOutput: boolean }} options
+     */
+    setDevices({ inputs, outputs }, { canSelectOutput }) {
+        fillDeviceSelect(this.inputSelect, inputs, 'Microphone', this.settings.inputDeviceId);
+        fillDeviceSelect(this.outputSelect, outputs, 'Speakers', this.settings.outputDeviceId);
+        this.outputRow.hidden = !canSelectOutput;
+    }
+
+    /**
+     * The mic test plays the live mic, so it is only offered once voice has started.
+     */
+    setVoiceReady(ready) {
+        if (!ready) {
+            this._setMicTest(false);
+        }
+        this.micTestButton.disabled = !ready;
+        this.micTestButton.title = ready ? 'Play your mic back to you' : 'Join to test your mic';
+    }
+
+    /**
+     * Moves the live meter; `db` is the mic level in dBFS.
+     */
+    setLevel(db) {
+        this.levelBar.style.width = `${toPercent(db)}%`;
+        this.levelBar.classList.toggle('open', db >= this.settings.activationThreshold);
+    }
+
+    _update(patch) {
+        this.settings = { ...this.settings, ...patch };
+        this._render();
+        this._emit('change', { ...this.settings });
+    }
+
+    _render() {
+        const { mode, pushToTalkKey, activationThreshold } = this.settings;
+        this.modeSelect.value = mode;
+        this.pttRow.hidden = mode !== 'push-to-talk';
+        this.activationRow.hidden = mode !== 'voice-activation';
+        this.pttButton.textContent = this.bindingKey ? 'Press a key…' : formatKey(pushToTalkKey);
+        this.thresholdInput.value = String(activationThreshold);
+        this.thresholdMark.hidden = mode !== 'voice-activation';
+        this.thresholdMark.style.left = `${toPercent(activationThreshold)}%`;
+        this.micTestButton.textContent = this.testingMic ? 'Stop' : 'Hear myself';
+        this.micTestButton.setAttribute('aria-pressed', this.testingMic ? 'true' : 'false');
+    }
+
+    _setMicTest(active) {
+        if (active === this.testingMic) {
+            return;
+        }
+        this.testingMic = active;
+        this._render();
+        this._emit('mic-test', active);
+    }
+
+    _startBinding() {
+        this.bindingKey = true;
+        // Capture phase so the key press does not also walk, hop or open chat.
+        window.addEventListener('keydown', this._onBindKey, true);
+        this._render();
+    }
+
+    _stopBinding() {
+        if (!this.bindingKey) {
+            return;
+        }
+        this.bindingKey = false;
+        window.removeEventListener('keydown', this._onBindKey, true);
+        this._render();
+    }
+
+    _onBindKey(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        if (event.code === 'Escape') {
+            this._stopBinding();
+            return;
+        }
+        if (RESERVED_KEYS.includes(event.code)) {
+            return;
+        }
+        this.bindingKey = false;
+        window.removeEventListener('keydown', this._onBindKey, true);
+        this._update({ pushToTalkKey: event.code });
+    }
+
+    _emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+}
+
+/**
+ * Readable label for a KeyboardEvent.code, e.g. KeyV → V, Digit1 → 1, ShiftLeft → Left Shift.
+ */
+export function formatKey(code) {
+    if (/^Key[A-Z]$/.test(code)) {
+        return code.slice(3);
+    }
+    if (/^Digit\d$/.test(code)) {
+        return code.slice(5);
+    }
+    const side = /^(.+)(Left|Right)$/.exec(code);
+    if (side) {
+        return `${side[2]} ${side[1]}`;
+    }
+    return code;
+}
+
+function fillDeviceSelect(select, devices, fallbackLabel, selectedId) {
+    select.innerHTML = '';
+    select.appendChild(new Option('System default', ''));
+    devices
+        .filter((device) => device.deviceId && device.deviceId !== 'default')
+        .forEach((device, index) => {
+            select.appendChild(new Option(device.label || `${fallbackLabel} ${index + 1}`, device.deviceId));
+        });
+    const known = Array.from(select.options).some((option) => option.value === selectedId);
+    select.value = known ? selectedId : '';
+}
+
+function toPercent(db) {
+    const clamped = Math.min(METER_CEILING_DB, Math.max(METER_FLOOR_DB, db));
+    return ((clamped - METER_FLOOR_DB) / (METER_CEILING_DB - METER_FLOOR_DB)) * 100;
+}
@@ -3,8 +3,21 @@ import * as THREE from 'three';
 
 const BODY_HEIGHT = 1.5;
 const HIT_FLASH_DURATION = 0.45;
+// Remote avatars are drawn this far behind the newest snapshot so there is usually a sample on
+// either side to interpolate between; 100 ms covers two ticks at the server's 20 Hz.
+const DEFAULT_INTERPOLATION_DELAY_MS = 100;
+const MAX_EXTRAPOLATION_MS = 250;
+const MAX_BUFFERED_SAMPLES = 32;
+const INTEREST_FADE_DURATION = 0.5;
+// Chat bubbles stay up a little longer for longer lines, then fade out over the last half second.
+const BUBBLE_MIN_SECONDS = 4;
+const BUBBLE_SECONDS_PER_CHAR = 0.05;
+const BUBBLE_FADE_SECONDS = 0.5;
+const BUBBLE_MAX_LINES = 3;
 const textureLoader = new THREE.TextureLoader();
 
+let speakingRingTexture = null;
+
 // Texture cache for clothing options
 const clothingTextureCache = new Map();
 
@@ -28,11 +41,33 @@ function getClothingTexture(clothingId) {
 // Default torso texture
 const defaultTorsoTexture = getClothingTexture('Torso1');
 
+// Faces are content-addressed, so one texture per hash serves every avatar wearing it.
+const faceTextureCache = new Map();
+
+function getFaceTexture(faceHash) {
+  if (faceTextureCache.has(faceHash)) {
+    return faceTextureCache.get(faceHash);
+  }
+  const texture = textureLoader.load(`/avatars/${faceHash}.png`);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.userData.cached = true;
+  faceTextureCache.set(faceHash, texture);
+  return texture;
+}
+
 
 export class RemotePlayerManager {
-  constructor(scene) {
+  constructor(scene, { interpolationDelay = DEFAULT_INTERPOLATION_DELAY_MS } = {}) {
     this.scene = scene;
     this.players = new Map();
+    this.interpolationDelay = interpolationDelay;
+    // Server clock minus local performance.now(); refined from snapshot timestamps.
+    this.clockOffset = Date.now() - performance.now();
+    this.clockSynced = false;
+  }
+
+  setInterpolationDelay(ms) {
+    this.interpolationDelay = Math.max(0, ms);
   }
 
   get size() {
@@ -63,35 +98,82 @@ export class RemotePlayerManager {
         id,
         group,
         parts,
+        name: name ?? 'Guest',
         customization: customization || {},
-        targetPosition: new THREE.Vector3(),
+        samples: [],
         lastPosition: new THREE.Vector3(),
-        targetRotation: 0,
         walkPhase: 0,
         attackTimer: 0,
         health: health ?? 6,
         alive: alive ?? true,
-        hitTimer: 0
+        hitTimer: 0,
+        // Avatars stay hidden until the server reports them inside our interest radius.
+        inInterest: false,
+        fade: 0,
+        bubble: null,
+        bubbleTimer: 0
       };
+      setGroupOpacity(group, 0);
       this.players.set(id, entry);
+    } else {
+      // A resync after a resume may carry renames and restyles we missed while away.
+      if (name && name !== entry.name) {
+        this.setName(id, name);
+      }
+      if (customization && !sameCustomization(customization, entry.customization)) {
+        this.updateCustomization(id, customization);
+      }
     }
     entry.health = health ?? entry.health;
     entry.alive = alive ?? entry.alive;
-    entry.group.visible = entry.alive;
+    entry.group.visible = entry.alive && entry.fade > 0;
     this._applyImmediate(entry, position, rotation);
   }
 
-  applyStateUpdate({ id, position, rotation }) {
+  /**
+   * Consumes a server tick snapshot: `{ tick, time, players: [{ id, position, rotation }] }`.
+   * Entries for unknown ids (including the local player) are ignored.
+   */
+  applySnapshot({ time, players }) {
+    if (!Array.isArray(players)) {
+      return;
+    }
+    if (typeof time === 'number') {
+      this._syncClock(time);
+    }
+    players.forEach((state) => this.applyStateUpdate(state, time));
+  }
+
+  applyStateUpdate({ id, position, rotation }, time = this._serverNow()) {
     const entry = this.players.get(id);
-    if (!entry) {
+    if (!entry || !Array.isArray(position) || position.length !== 3) {
       return;
     }
-    if (Array.isArray(position) && position.length === 3) {
-      const offsetY = (position[1] ?? 1.6) - 1.6;
-      entry.targetPosition.set(position[0], offsetY, position[2]);
+    const offsetY = (position[1] ?? 1.6) - 1.6;
+    const yaw = Array.isArray(rotation) ? rotation[1] ?? 0 : 0;
+    pushSample(entry, time, new THREE.Vector3(position[0], offsetY, position[2]), yaw);
+  }
+
+  _serverNow() {
+    return performance.now() + this.clockOffset;
+  }
+
+  _syncClock(serverTime) {
+    const sample = serverTime - performance.now();
+    // A larger offset means a snapshot arrived with less delay, so trust it straight away;
+    // otherwise only drift slowly so one late packet does not pull the render time back.
+    if (!this.clockSynced || sample > this.clockOffset) {
+      this.clockOffset = sample;
+      this.clockSynced = true;
+    } else {
+      this.clockOffset += (sample - this.clockOffset) * 0.01;
     }
-    if (Array.isArray(rotation) && rotation.length === 3) {
-      entry.targetRotation = rotation[1] ?? 0;
+  }
+
+  setInInterest(id, inInterest) {
+    const entry = this.players.get(id);
+    if (entry) {
+      entry.inInterest = inInterest;
     }
   }
 
@@ -101,37 +183,79 @@ export class RemotePlayerManager {
       return;
     }
     this.scene.remove(entry.group);
-    entry.group.traverse((child) => {
-      if (child.geometry) {
-        child.geometry.dispose();
-      }
-      if (child.material) {
-        if (Array.isArray(child.material)) {
-          child.material.forEach((mat) => mat.dispose());
-        } else {
-          child.material.dispose();
-        }
-      }
-      if (child.material && child.material.map) {
-        child.material.map.dispose();
-      }
-    });
+    disposeObject(entry.group);
     this.players.delete(id);
   }
 
+  /**
+   * Restyles an avatar in place: the torso material is retextured and only the head is rebuilt,
+   * so position, animation and interest state carry on untouched.
+   */
+  updateCustomization(id, customization) {
+    const entry = this.players.get(id);
+    if (!entry?.parts) {
+      return;
+    }
+    entry.customization = customization || {};
+    applyTorsoStyle(entry.parts.torsoMaterial, entry.customization);
+    const head = createHead(entry.customization);
+    entry.group.remove(entry.parts.head);
+    disposeObject(entry.parts.head);
+    entry.group.add(head);
+    entry.parts.head = head;
+    setGroupOpacity(head, entry.fade);
+  }
+
+  setName(id, name) {
+    const entry = this.players.get(id);
+    if (!entry?.parts) {
+      return;
+    }
+    entry.name = name;
+    const nameTag = buildNameTag(name);
+    entry.group.remove(entry.parts.nameTag);
+    disposeObject(entry.parts.nameTag);
+    entry.group.add(nameTag);
+    entry.parts.nameTag = nameTag;
+    setGroupOpacity(nameTag, entry.fade);
+  }
+
+  /**
+   * Lights the ring around the avatar's name tag while their voice is active.
+   */
+  setSpeaking(id, speaking) {
+    const entry = this.players.get(id);
+    if (!entry?.parts) {
+      return;
+    }
+    entry.parts.speakingRing.visible = speaking;
+  }
+
+  /**
+   * Floats `text` above the avatar's name tag, replacing any bubble still showing.
+   */
+  showChatBubble(id, text) {
+    const entry = this.players.get(id);
+    if (!entry) {
+      return;
+    }
+    removeChatBubble(entry);
+    entry.bubble = buildChatBubble(text);
+    entry.bubbleTimer = BUBBLE_MIN_SECONDS + text.length * BUBBLE_SECONDS_PER_CHAR;
+    entry.group.add(entry.bubble);
+  }
+
   update(delta, camera) {
-    const lerpFactor = Math.min(1, delta * 6);
+    const renderTime = this._serverNow() - this.interpolationDelay;
     this.players.forEach((entry) => {
-      entry.group.position.lerp(entry.targetPosition, lerpFactor);
+      sampleBuffer(entry, renderTime);
       const movementDelta = entry.group.position.clone().sub(entry.lastPosition);
       const speed = movementDelta.length() / Math.max(delta, 0.0001);
 
-      const currentY = entry.group.rotation.y;
-      const targetY = entry.targetRotation;
-      entry.group.rotation.y = lerpRadians(currentY, targetY, lerpFactor);
-
       this.animateLimbs(entry, speed, delta);
       this.applyHitFlash(entry, delta);
+      this.applyInterestFade(entry, delta);
+      applyChatBubble(entry, delta);
       entry.lastPosition.copy(entry.group.position);
 
       entry.group.children.forEach((child) => {
@@ -193,7 +317,7 @@ export class RemotePlayerManager {
     }
     if (typeof alive === 'boolean') {
       entry.alive = alive;
-      entry.group.visible = entry.alive;
+      entry.group.visible = entry.alive && entry.fade > 0;
     }
     if (!entry.alive) {
       entry.attackTimer = 0;
@@ -216,84 +340,37 @@ export class RemotePlayerManager {
     if (Array.isArray(position) && position.length === 3) {
       const offsetY = (position[1] ?? 1.6) - 1.6;
       entry.group.position.set(position[0], offsetY, position[2]);
-      entry.targetPosition.set(position[0], offsetY, position[2]);
       entry.lastPosition.copy(entry.group.position);
     }
     if (Array.isArray(rotation) && rotation.length === 3) {
-      const yaw = rotation[1] ?? 0;
-      entry.group.rotation.y = yaw;
-      entry.targetRotation = yaw;
+      entry.group.rotation.y = rotation[1] ?? 0;
     }
+    // Teleports (join, respawn) restart the buffer so we never interpolate across them.
+    entry.samples.length = 0;
+    pushSample(entry, this._serverNow(), entry.group.position.clone(), entry.group.rotation.y);
   }
 }
 
 function createAvatarMesh(name, color, customization = {}) {
   const group = new THREE.Group();
-  const { headColor, bodyColor, clothing, faceImage } = customization;
-
-  // Determine torso texture/color
-  const clothingTexture = clothing && clothing !== 'none'
-    ? getClothingTexture(clothing)
-    : defaultTorsoTexture;
 
   const torsoGeometry = new THREE.CylinderGeometry(0.32, 0.36, 1.0, 32, 1, true);
   const torsoMaterial = new THREE.MeshStandardMaterial({
-    map: clothingTexture,
-    color: bodyColor && (!clothing || clothing === 'none') ? new THREE.Color(bodyColor) : 0xffffff,
     roughness: 0.5,
     metalness: 0.05,
     transparent: true,
     side: THREE.FrontSide,
     emissive: new THREE.Color(0x000000)
   });
+  applyTorsoStyle(torsoMaterial, customization);
   const torso = new THREE.Mesh(torsoGeometry, torsoMaterial);
   torso.castShadow = true;
   torso.position.y = 0.5;
   torso.rotation.y = Math.PI;
   group.add(torso);
 
-  // Head with optional color and face texture
-  const headGeometry = new THREE.SphereGeometry(0.28, 32, 32, 0, Math.PI * 2, 0, Math.PI);
-  const headMaterialColor = headColor ? new THREE.Color(headColor) : 0xf5d8b4;
-
-  // Create head material - apply face texture to front half only if provided
-  let headMaterial;
-  if (faceImage) {
-    // Create two hemispheres: front with face texture, back with color
-    const faceTexture = textureLoader.load(faceImage);
-    faceTexture.colorSpace = THREE.SRGBColorSpace;
-
-    // Front hemisphere with face
-    const frontHeadGeometry = new THREE.SphereGeometry(0.28, 32, 32, -Math.PI / 2, Math.PI, 0, Math.PI);
-    const frontHeadMaterial = new THREE.MeshStandardMaterial({
-      map: faceTexture,
-      roughness: 0.6
-    });
-    const frontHead = new THREE.Mesh(frontHeadGeometry, frontHeadMaterial);
-    frontHead.position.y = 1.45;
-    frontHead.castShadow = true;
-    group.add(frontHead);
-
-    // Back hemisphere with color
-    const backHeadGeometry = new THREE.SphereGeometry(0.28, 32, 32, Math.PI / 2, Math.PI, 0, Math.PI);
-    const backHeadMaterial = new THREE.MeshStandardMaterial({
-      color: headMaterialColor,
-      roughness: 0.6
-    });
-    const backHead = new THREE.Mesh(backHeadGeometry, backHeadMaterial);
-    backHead.position.y = 1.45;
-    backHead.castShadow = true;
-    group.add(backHead);
-  } else {
-    headMaterial = new THREE.MeshStandardMaterial({
-      color: headMaterialColor,
-      roughness: 0.6
-    });
-    const head = new THREE.Mesh(headGeometry, headMaterial);
-    head.position.y = 1.45;
-    head.castShadow = true;
-    group.add(head);
-  }
+  const head = createHead(customization);
+  group.add(head);
 
   const leftLeg = createLimb(0.11, 0.42);
   leftLeg.position.set(-0.14, 0.45, 0);
@@ -314,23 +391,96 @@ function createAvatarMesh(name, color, customization = {}) {
   group.add(rightArm);
 
   const nameTag = buildNameTag(name);
-  nameTag.position.set(0, BODY_HEIGHT + 0.35, 0);
-  nameTag.userData.isNameTag = true;
   group.add(nameTag);
 
+  const speakingRing = buildSpeakingRing();
+  group.add(speakingRing);
+
   return {
     group,
     parts: {
       torso,
+      head,
       leftLeg,
       rightLeg,
       leftArm,
       rightArm,
-      torsoMaterial
+      torsoMaterial,
+      nameTag,
+      speakingRing
     }
   };
 }
 
+function applyTorsoStyle(material, { bodyColor, clothing } = {}) {
+  material.map = clothing && clothing !== 'none'
+    ? getClothingTexture(clothing)
+    : defaultTorsoTexture;
+  material.color.set(bodyColor && (!clothing || clothing === 'none') ? bodyColor : 0xffffff);
+  material.needsUpdate = true;
+}
+
+// Head with optional color and face texture; kept in its own group so it can be swapped out.
+function createHead({ headColor, faceHash } = {}) {
+  const group = new THREE.Group();
+  group.position.y = 1.45;
+  const headMaterialColor = headColor ? new THREE.Color(headColor) : 0xf5d8b4;
+
+  if (faceHash) {
+    // Two hemispheres: front with the face texture, back with the head color
+    const frontHeadGeometry = new THREE.SphereGeometry(0.28, 32, 32, -Math.PI / 2, Math.PI, 0, Math.PI);
+    const frontHeadMaterial = new THREE.MeshStandardMaterial({
+      map: getFaceTexture(faceHash),
+      roughness: 0.6
+    });
+    const frontHead = new THREE.Mesh(frontHeadGeometry, frontHeadMaterial);
+    frontHead.castShadow = true;
+    group.add(frontHead);
+
+    const backHeadGeometry = new THREE.SphereGeometry(0.28, 32, 32, Math.PI / 2, Math.PI, 0, Math.PI);
+    const backHeadMaterial = new THREE.MeshStandardMaterial({
+      color: headMaterialColor,
+      roughness: 0.6
+    });
+    const backHead = new THREE.Mesh(backHeadGeometry, backHeadMaterial);
+    backHead.castShadow = true;
+    group.add(backHead);
+  } else {
+    const headGeometry = new THREE.SphereGeometry(0.28, 32, 32, 0, Math.PI * 2, 0, Math.PI);
+    const headMaterial = new THREE.MeshStandardMaterial({
+      color: headMaterialColor,
+      roughness: 0.6
+    });
+    const head = new THREE.Mesh(headGeometry, headMaterial);
+    head.castShadow = true;
+    group.add(head);
+  }
+  return group;
+}
+
+// Customizations are flat objects sanitized by the server, which always writes keys in one order.
+function sameCustomization(a, b) {
+  return JSON.stringify(a ?? {}) === JSON.stringify(b ?? {});
+}
+
+function disposeObject(object) {
+  object.traverse((child) => {
+    if (child.geometry) {
+      child.geometry.dispose();
+    }
+    if (child.material) {
+      if (Array.isArray(child.material)) {
+        child.material.forEach((mat) => mat.dispose());
+      } else {
+        child.material.dispose();
+      }
+    }
+    if (child.material && child.material.map && !child.material.map.userData.cached) {
+      child.material.map.dispose();
+    }
+  });
+}
+
 function createLimb(radius, length) {
   const geometry = new THREE.CapsuleGeometry(radius, length, 6, 12);
   const material = new THREE.MeshStandardMaterial({
@@ -373,9 +523,142 @@ function buildNameTag(name) {
 
   const sprite = new THREE.Sprite(material);
   sprite.scale.set(1.4, 0.6, 1);
+  sprite.position.set(0, BODY_HEIGHT + 0.35, 0);
+  sprite.userData.isNameTag = true;
   return sprite;
 }
 
+// A glowing outline drawn over the name tag's edge; every avatar shares the one texture.
+function buildSpeakingRing() {
+  if (!speakingRingTexture) {
+    const canvas = document.createElement('canvas');
+    const scale = 4;
+    canvas.width = 128 * scale;
+    canvas.height = 64 * scale;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) {
+      throw new Error('Failed to create canvas context for speaking ring');
+    }
+    ctx.fillStyle = 'rgba(0, 0, 0, 0)';
+    ctx.strokeStyle = '#7be08a';
+    ctx.lineWidth = 4 * scale;
+    ctx.shadowColor = '#7be08a';
+    ctx.shadowBlur = 8 * scale;
+    roundRect(ctx, 10 * scale, 10 * scale, canvas.width - 20 * scale, canvas.height - 20 * scale, 18 * scale);
+    ctx.stroke();
+    speakingRingTexture = new THREE.CanvasTexture(canvas);
+    speakingRingTexture.colorSpace = THREE.SRGBColorSpace;
+    speakingRingTexture.userData.cached = true;
+  }
+  const material = new THREE.SpriteMaterial({
+    map: speakingRingTexture,
+    transparent: true,
+    depthWrite: false
+  });
+  const sprite = new THREE.Sprite(material);
+  // Same size and place as the name tag so the outline hugs it.
+  sprite.scale.set(1.4, 0.6, 1);
+  sprite.position.set(0, BODY_HEIGHT + 0.35, 0);
+  sprite.visible = false;
+  return sprite;
+}
+
+// Wraps the text onto up to BUBBLE_MAX_LINES lines and sits the bubble just above the name tag.
+function buildChatBubble(text) {
+  const scale = 4;
+  const width = 256 * scale;
+  const padding = 14 * scale;
+  const lineHeight = 26 * scale;
+  const measure = document.createElement('canvas').getContext('2d');
+  if (!measure) {
+    throw new Error('Failed to create canvas context for chat bubble');
+  }
+  const font = `${20 * scale}px "Segoe UI", sans-serif`;
+  measure.font = font;
+  const lines = wrapText(measure, text, width - padding * 2);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = lines.length * lineHeight + padding * 2 + 12 * scale;
+  const ctx = canvas.getContext('2d');
+  const bodyHeight = canvas.height - 12 * scale;
+  ctx.fillStyle = 'rgba(245, 247, 255, 0.92)';
+  roundRect(ctx, 0, 0, width, bodyHeight, 18 * scale);
+  // Little tail pointing down at the speaker.
+  ctx.beginPath();
+  ctx.moveTo(width / 2 - 10 * scale, bodyHeight);
+  ctx.lineTo(width / 2, canvas.height);
+  ctx.lineTo(width / 2 + 10 * scale, bodyHeight);
+  ctx.fill();
+  ctx.fillStyle = '#1b1f29';
+  ctx.font = font;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  lines.forEach((line, index) => {
+    ctx.fillText(line, width / 2, padding + lineHeight * (index + 0.5));
+  });
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.anisotropy = 8;
+  const material = new THREE.SpriteMaterial({ map: texture, transparent: true, depthWrite: false });
+  const sprite = new THREE.Sprite(material);
+  const worldWidth = 1.8;
+  const worldHeight = worldWidth * (canvas.height / canvas.width);
+  sprite.scale.set(worldWidth, worldHeight, 1);
+  // The name tag is 0.6 tall and centred 0.35 above the body.
+  sprite.position.set(0, BODY_HEIGHT + 0.35 + 0.3 + 0.05 + worldHeight / 2, 0);
+  return sprite;
+}
+
+function wrapText(ctx, text, maxWidth) {
+  const lines = [];
+  let line = '';
+  text.split(' ').forEach((word) => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (ctx.measureText(candidate).width <= maxWidth || !line) {
+      line = candidate;
+    } else {
+      lines.push(line);
+      line = word;
+    }
+  });
+  lines.push(line);
+  if (lines.length > BUBBLE_MAX_LINES) {
+    lines.length = BUBBLE_MAX_LINES;
+    lines[BUBBLE_MAX_LINES - 1] += '…';
+  }
+  // A single word wider than the bubble is cut rather than squeezed.
+  return lines.map((entry) => {
+    let fitted = entry;
+    while (fitted.length > 1 && ctx.measureText(fitted).width > maxWidth) {
+      fitted = `${fitted.slice(0, -2)}…`;
+    }
+    return fitted;
+  });
+}
+
+function applyChatBubble(entry, delta) {
+  if (!entry.bubble) {
+    return;
+  }
+  entry.bubbleTimer -= delta;
+  if (entry.bubbleTimer <= 0) {
+    removeChatBubble(entry);
+    return;
+  }
+  entry.bubble.material.opacity = entry.fade * Math.min(1, entry.bubbleTimer / BUBBLE_FADE_SECONDS);
+}
+
+function removeChatBubble(entry) {
+  if (!entry.bubble) {
+    return;
+  }
+  entry.group.remove(entry.bubble);
+  disposeObject(entry.bubble);
+  entry.bubble = null;
+}
+
 function roundRect(ctx, x, y, width, height, radius) {
   ctx.beginPath();
   ctx.moveTo(x + radius, y);
@@ -417,7 +700,89 @@ RemotePlayerManager.prototype.applyHitFlash = function applyHitFlash(entry, delt
   }
 };
 
-function lerpRadians(current, target, t) {
+RemotePlayerManager.prototype.applyInterestFade = function applyInterestFade(entry, delta) {
+  const target = entry.inInterest ? 1 : 0;
+  if (entry.fade !== target) {
+    const step = delta / INTEREST_FADE_DURATION;
+    entry.fade = target > entry.fade
+      ? Math.min(target, entry.fade + step)
+      : Math.max(target, entry.fade - step);
+    setGroupOpacity(entry.group, entry.fade);
+  }
+  entry.group.visible = entry.alive && entry.fade > 0;
+};
+
+function setGroupOpacity(group, opacity) {
+  group.traverse((child) => {
+    if (!child.material) {
+      return;
+    }
+    const materials = Array.isArray(child.material) ? child.material : [child.material];
+    materials.forEach((material) => {
+      if (material.userData.baseOpacity === undefined) {
+        material.userData.baseOpacity = material.opacity;
+        material.userData.baseTransparent = material.transparent;
+      }
+      const transparent = material.userData.baseTransparent || opacity < 1;
+      if (material.transparent !== transparent) {
+        material.transparent = transparent;
+        material.needsUpdate = true;
+      }
+      material.opacity = material.userData.baseOpacity * opacity;
+    });
+  });
+}
+
+function pushSample(entry, time, position, yaw) {
+  const { samples } = entry;
+  const latest = samples[samples.length - 1];
+  if (latest && time <= latest.time) {
+    return;
+  }
+  const sample = {
+    time,
+    position,
+    yaw,
+    velocity: new THREE.Vector3(),
+    yawRate: 0
+  };
+  if (latest) {
+    const dt = (time - latest.time) / 1000;
+    sample.velocity.subVectors(position, latest.position).divideScalar(dt);
+    sample.yawRate = angleDelta(latest.yaw, yaw) / dt;
+  }
+  samples.push(sample);
+  if (samples.length > MAX_BUFFERED_SAMPLES) {
+    samples.shift();
+  }
+}
+
+/**
+ * Places the avatar at `renderTime`: interpolates between the samples either side of it, or
+ * extrapolates briefly along the last known velocity when the next snapshot is late.
+ */
+function sampleBuffer(entry, renderTime) {
+  const { samples, group } = entry;
+  while (samples.length >= 2 && samples[1].time <= renderTime) {
+    samples.shift();
+  }
+  const from = samples[0];
+  if (!from) {
+    return;
+  }
+  const to = samples[1];
+  if (to) {
+    const t = THREE.MathUtils.clamp((renderTime - from.time) / (to.time - from.time), 0, 1);
+    group.position.lerpVectors(from.position, to.position, t);
+    group.rotation.y = lerpRadians(from.yaw, to.yaw, t);
+    return;
+  }
+  const ahead = THREE.MathUtils.clamp(renderTime - from.time, 0, MAX_EXTRAPOLATION_MS) / 1000;
+  group.position.copy(from.position).addScaledVector(from.velocity, ahead);
+  group.rotation.y = from.yaw + from.yawRate * ahead;
+}
+
+function angleDelta(current, target) {
   const twoPi = Math.PI * 2;
   let diff = (target - current) % twoPi;
   if (diff < -Math.PI) {
@@ -425,5 +790,9 @@ function lerpRadians(current, target, t) {
   } else if (diff > Math.PI) {
     diff -= twoPi;
   }
-  return current + diff * t;
+  return diff;
+}
+
+function lerpRadians(current, target, t) {
+  return current + angleDelta(current, target) * t;
 }
@@ -0,0 +1,118 @@
+// Stack: Content-addressed face images on local disk; uploads are decoded and re-encoded as PNG.
+import { createHash } from 'crypto';
+import { mkdir, readdir, stat, writeFile } from 'fs/promises';
+import path from 'path';
+import { PNG } from 'pngjs';
+
+export const MAX_UPLOAD_BYTES = 512 * 1024;
+const DEFAULT_QUOTA_BYTES = 256 * 1024 * 1024;
+const MAX_FACE_SIZE = 512;
+const FACE_HASH_PATTERN = /^[0-9a-f]{64}$/;
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Raised when an upload is refused. `status` is the HTTP status to answer with and `code` one
+ * of: not-png, bad-dimensions, storage-full.
+ */
+export class AvatarUploadError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = 'AvatarUploadError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+export function isFaceHash(value) {
+  return typeof value === 'string' && FACE_HASH_PATTERN.test(value);
+}
+
+export function faceUrl(hash) {
+  return `/avatars/${hash}.png`;
+}
+
+/**
+ * Stores faces as `<sha256>.png` under `dir`. Re-encoding drops metadata and any trailing bytes,
+ * so the same picture always hashes the same and nothing but pixels is served back.
+ * Once the folder holds `quotaBytes`, new pictures are refused; stored ones are never evicted,
+ * since profiles and rooms keep pointing at them.
+ */
+export function createAvatarStore(dir, { quotaBytes = DEFAULT_QUOTA_BYTES } = {}) {
+  let ready = null;
+  let usedBytes = 0;
+
+  async function prepare() {
+    await mkdir(dir, { recursive: true });
+    const names = (await readdir(dir)).filter((name) => name.endsWith('.png'));
+    const sizes = await Promise.all(names.map(async (name) => (await stat(path.join(dir, name))).size));
+    usedBytes = sizes.reduce((total, size) => total + size, 0);
+  }
+
+  return {
+    dir,
+
+    async save(buffer) {
+      const png = decodeFace(buffer);
+      const encoded = PNG.sync.write(png);
+      const hash = createHash('sha256').update(encoded).digest('hex');
+      ready ??= prepare();
+      await ready;
+      const file = path.join(dir, `${hash}.png`);
+      if (!(await exists(file))) {
+        if (usedBytes + encoded.length > quotaBytes) {
+          throw new AvatarUploadError('storage-full', 'No room for new face pictures right now', 507);
+        }
+        // Counted before the write so concurrent uploads cannot all squeeze under the quota.
+        usedBytes += encoded.length;
+        try {
+          await writeFile(file, encoded);
+        } catch (err) {
+          usedBytes -= encoded.length;
+          throw err;
+        }
+      }
+      return { hash, url: faceUrl(hash) };
+    }
+  };
+}
+
+function decodeFace(buffer) {
+  // Check the declared size before decoding so a tiny file cannot claim a huge bitmap.
+  const size = readPngSize(buffer);
+  if (!size) {
+    throw new AvatarUploadError('not-png', 'Face images must be PNG files');
+  }
+  if (size.width > MAX_FACE_SIZE || size.height > MAX_FACE_SIZE) {
+    throw new AvatarUploadError(
+      'bad-dimensions',
+      `Face images can be at most ${MAX_FACE_SIZE}x${MAX_FACE_SIZE} pixels`
+    );
+  }
+  try {
+    return PNG.sync.read(buffer);
+  } catch {
+    throw new AvatarUploadError('not-png', 'Face images must be PNG files');
+  }
+}
+
+// The IHDR chunk always comes first: 8-byte signature, length, "IHDR", then width and height.
+function readPngSize(buffer) {
+  if (
+    !Buffer.isBuffer(buffer) ||
+    buffer.length < 24 ||
+    !buffer.subarray(0, 8).equals(PNG_SIGNATURE) ||
+    buffer.toString('latin1', 12, 16) !== 'IHDR'
+  ) {
+    return null;
+  }
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+async function exists(file) {
+  try {
+    await stat(file);
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -5,41 +5,260 @@ import { fileURLToPath } from 'url';
 import { createServer } from 'http';
 import { WebSocketServer } from 'ws';
 import { RoomManager } from './rooms/roomManager.js';
+import { createHeartbeat } from './net/heartbeat.js';
+import { createMetrics } from './net/metrics.js';
+import { createKeyedRateLimiter } from './net/rateLimiter.js';
+import { AvatarUploadError, MAX_UPLOAD_BYTES, createAvatarStore } from './assets/avatarStore.js';
+import { ProfileError, createProfileStore, formatProfile } from './profiles/profileStore.js';
+import { negotiateWireVersion } from '../shared/wireFormat.js';
+import {
+  CLIENT_MESSAGES,
+  PROTOCOL_CLOSE_CODE,
+  PROTOCOL_VERSION,
+  ProtocolError,
+  parseMessage,
+  toErrorMessage
+} from '../shared/protocol.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
 const PORT = process.env.PORT ?? 3000;
+const HELLO_TIMEOUT_MS = 10000;
+// Largest frame we accept. Faces go through POST /api/avatars, so the biggest message is an SDP offer.
+const MAX_PAYLOAD_BYTES = 64 * 1024;
 
 const staticDir = path.resolve(__dirname, '../dist');
 app.use(express.static(staticDir));
 
+const metrics = createMetrics();
+const profiles = createProfileStore(
+  process.env.PROFILE_DIR ?? path.resolve(__dirname, '../data/profiles')
+);
+const rooms = new RoomManager({
+  interestRadius: Number(process.env.INTEREST_RADIUS) || undefined,
+  metrics,
+  profiles,
+  moderatorKey: process.env.MODERATOR_KEY || null
+});
+rooms.start();
+
 app.get('/health', (_req, res) => {
   res.json({ status: 'ok' });
 });
 
+app.get('/api/rooms', (_req, res) => {
+  res.json({ rooms: rooms.listRooms() });
+});
+
+const avatars = createAvatarStore(
+  process.env.AVATAR_DIR ?? path.resolve(__dirname, '../data/avatars'),
+  { quotaBytes: Number(process.env.AVATAR_QUOTA_MB) * 1024 * 1024 || undefined }
+);
+// A face is uploaded once per edit, so a handful a minute per address is plenty.
+const avatarUploads = createKeyedRateLimiter({ rate: 0.1, burst: 5 });
+// Files are named by their content hash, so they never change once written.
+app.use('/avatars', express.static(avatars.dir, { immutable: true, maxAge: '1y' }));
+
+app.post(
+  '/api/avatars',
+  (req, res, next) => {
+    if (avatarUploads.check(req.ip)) {
+      next();
+      return;
+    }
+    metrics.increment('avatar_upload_rejected', 'rate-limited');
+    res.status(429).json({ error: 'rate-limited', message: 'Too many uploads, try again shortly' });
+  },
+  express.raw({ type: 'image/png', limit: MAX_UPLOAD_BYTES }),
+  async (req, res) => {
+    try {
+      res.status(201).json(await avatars.save(req.body));
+    } catch (err) {
+      if (err instanceof AvatarUploadError) {
+        metrics.increment('avatar_upload_rejected', err.code);
+        res.status(err.status).json({ error: err.code, message: err.message });
+        return;
+      }
+      console.error('Avatar upload failed', err);
+      res.status(500).json({ error: 'upload-failed', message: 'Could not store the image' });
+    }
+  }
+);
+
+// Each new profile is a file on disk. A browser creates one once, so ten per address (a shared
+// connection at a LAN party) and then one every 30 s is plenty.
+const profileCreations = createKeyedRateLimiter({ rate: 1 / 30, burst: 10 });
+
+// Profiles are addressed by the device token the browser keeps: `Authorization: Bearer <token>`.
+app.post('/api/profiles', async (req, res) => {
+  if (!profileCreations.check(req.ip)) {
+    metrics.increment('profile_create_rejected', 'rate-limited');
+    res
+      .status(429)
+      .json({ error: 'rate-limited', message: 'Too many new profiles, try again later' });
+    return;
+  }
+  try {
+    const { token, profile } = await profiles.create();
+    res.status(201).json({ token, profile: formatProfile(profile) });
+  } catch (err) {
+    sendProfileError(res, err);
+  }
+});
+
+app.get('/api/profile', async (req, res) => {
+  try {
+    res.json({ profile: formatProfile(await profiles.get(bearerToken(req))) });
+  } catch (err) {
+    sendProfileError(res, err);
+  }
+});
+
+app.patch('/api/profile', express.json({ limit: '16kb' }), async (req, res) => {
+  try {
+    const { name, customization, preferences } = req.body ?? {};
+    const profile = await profiles.update(bearerToken(req), { name, customization, preferences });
+    res.json({ profile: formatProfile(profile) });
+  } catch (err) {
+    sendProfileError(res, err);
+  }
+});
+
+function bearerToken(req) {
+  const match = /^Bearer (\S+)$/.exec(req.get('authorization') ?? '');
+  return match ? match[1] : null;
+}
+
+function sendProfileError(res, err) {
+  if (err instanceof ProfileError) {
+    res.status(err.status).json({ error: err.code, message: err.message });
+    return;
+  }
+  console.error('Profile request failed', err);
+  res.status(500).json({ error: 'profile-failed', message: 'Could not load or save the profile' });
+}
+
+// Body parser failures (too large, malformed JSON) answer API callers in JSON rather than HTML.
+app.use('/api', (err, _req, res, next) => {
+  if (res.headersSent) {
+    next(err);
+    return;
+  }
+  const status = err.status ?? err.statusCode ?? 500;
+  if (status >= 500) {
+    console.error('API request failed', err);
+    res.status(500).json({ error: 'server-error', message: 'Something went wrong' });
+    return;
+  }
+  const error = status === 413 ? 'too-large' : 'bad-request';
+  metrics.increment('api_request_rejected', error);
+  const message = status === 413 ? 'Request body is too large' : 'Malformed request body';
+  res.status(status).json({ error, message });
+});
+
+app.get('/metrics', (_req, res) => {
+  res.json({
+    players: rooms.players.size,
+    rooms: rooms.rooms.size,
+    counters: metrics.snapshot()
+  });
+});
+
 const httpServer = createServer(app);
-const wss = new WebSocketServer({ server: httpServer, path: '/ws' });
+// ws closes any connection sending a larger frame with 1009 (message too big).
+const wss = new WebSocketServer({ server: httpServer, path: '/ws', maxPayload: MAX_PAYLOAD_BYTES });
+const heartbeat = createHeartbeat(wss, {
+  intervalMs: Number(process.env.HEARTBEAT_INTERVAL_MS) || undefined,
+  onSweep: () => rooms.broadcastLatency()
+});
+
+wss.on('connection', (socket, request) => {
+  const params = new URL(request.url ?? '/ws', 'http://localhost').searchParams;
+  // Nothing else is accepted until the client has said which protocol version it speaks.
+  const helloTimer = setTimeout(() => {
+    rejectHandshake(socket, new ProtocolError('hello-required', 'No hello received'));
+  }, HELLO_TIMEOUT_MS);
+  socket.on('close', () => clearTimeout(helloTimer));
+  socket.on('error', (err) => {
+    if (err.code === 'WS_ERR_UNSUPPORTED_MESSAGE_LENGTH') {
+      metrics.increment('payload_rejected', 'frame');
+      return;
+    }
+    console.error('Socket error', err);
+  });
+  socket.once('message', (raw, isBinary) => {
+    clearTimeout(helloTimer);
+    const error = checkHello(raw, isBinary);
+    if (error) {
+      rejectHandshake(socket, error);
+      return;
+    }
+    startSession(socket, params, request.socket.remoteAddress ?? null);
+  });
+});
 
-const rooms = new RoomManager();
+function checkHello(raw, isBinary) {
+  const hello = isBinary ? null : parseMessage(CLIENT_MESSAGES, raw);
+  if (!hello?.ok || hello.type !== 'hello') {
+    return new ProtocolError('hello-required', 'The first message must be hello');
+  }
+  if (hello.payload.version !== PROTOCOL_VERSION) {
+    return new ProtocolError(
+      'protocol-mismatch',
+      `Server speaks protocol ${PROTOCOL_VERSION}, client sent ${hello.payload.version}`,
+      'hello'
+    );
+  }
+  return null;
+}
 
-wss.on('connection', (socket) => {
-  const player = rooms.addPlayer(socket);
+function rejectHandshake(socket, error) {
+  socket.send(JSON.stringify(toErrorMessage(error)));
+  socket.close(PROTOCOL_CLOSE_CODE, error.code);
+}
+
+function startSession(socket, params, address) {
+  const resumeToken = params.get('resume');
+  // Clients list the binary wire versions they understand; without a match everything stays JSON.
+  const wireVersion = negotiateWireVersion(params.get('wire'));
+  const resumed = resumeToken
+    ? rooms.resumePlayer(resumeToken, socket, { wireVersion, address })
+    : null;
+  const player = resumed ?? rooms.addPlayer(socket, { wireVersion, address });
   socket.send(
     JSON.stringify({
       type: 'welcome',
-      payload: { id: player.id }
+      payload: {
+        id: player.id,
+        version: PROTOCOL_VERSION,
+        resumeToken: player.resumeToken,
+        resumed: Boolean(resumed),
+        wire: player.wireVersion
+      }
     })
   );
+  if (resumed) {
+    rooms.sendRoomState(player, { includeSelf: true });
+  }
 
-  socket.on('message', (raw) => rooms.handleMessage(player.id, raw));
-  socket.on('close', () => rooms.removePlayer(player.id));
-  socket.on('error', (err) => {
-    console.error('Socket error', err);
-    rooms.removePlayer(player.id);
+  heartbeat.track(socket, {
+    onRoundTrip: (rtt) => rooms.recordLatency(player.id, rtt),
+    onTimeout: () => {
+      // Half-open links are what the resume grace period is for, so hold the session open.
+      console.warn(`Heartbeat timed out for ${player.id}`);
+      rooms.suspendPlayer(player.id, socket);
+    }
   });
-});
+
+  socket.on('message', (raw, isBinary) => rooms.handleMessage(player.id, raw, isBinary));
+  // Abnormal closes keep the player around for a grace period so the session can be resumed.
+  socket.on('close', (code) => {
+    rooms.suspendPlayer(player.id, socket, { clean: code === 1000 || code === 1001 });
+  });
+  socket.on('error', () => rooms.suspendPlayer(player.id, socket));
+}
 
 httpServer.listen(PORT, () => {
   console.log(`Campfire server listening on http://localhost:${PORT}`);
@@ -0,0 +1,52 @@
+// Stack: ws ping/pong heartbeat that reaps half-open sockets and measures round-trip time.
+
+const HEARTBEAT_INTERVAL_MS = 10000;
+
+/**
+ * Pings every tracked socket once per interval. A socket that has not answered the previous
+ * ping by the next sweep is considered dead: `onTimeout` runs and the socket is terminated.
+ */
+export function createHeartbeat(wss, { intervalMs = HEARTBEAT_INTERVAL_MS, onSweep } = {}) {
+  const tracked = new Map();
+
+  const timer = setInterval(() => {
+    tracked.forEach((entry, socket) => {
+      if (!entry.alive) {
+        tracked.delete(socket);
+        entry.handlers.onTimeout?.();
+        socket.terminate();
+        return;
+      }
+      entry.alive = false;
+      entry.sentAt = Date.now();
+      try {
+        socket.ping();
+      } catch (err) {
+        console.warn('Heartbeat ping failed:', err);
+      }
+    });
+    onSweep?.();
+  }, intervalMs);
+
+  wss.on('close', () => clearInterval(timer));
+
+  return {
+    track(socket, handlers = {}) {
+      const entry = { alive: true, sentAt: 0, handlers };
+      tracked.set(socket, entry);
+      socket.on('pong', () => {
+        entry.alive = true;
+        if (entry.sentAt) {
+          entry.handlers.onRoundTrip?.(Date.now() - entry.sentAt);
+          entry.sentAt = 0;
+        }
+      });
+      socket.on('close', () => tracked.delete(socket));
+    },
+
+    stop() {
+      clearInterval(timer);
+      tracked.clear();
+    }
+  };
+}
@@ -0,0 +1,28 @@
+// Stack: In-process counters for server health, exposed as JSON on GET /metrics.
+
+/**
+ * Counters are grouped by name and broken down by an optional label, e.g.
+ * `increment('rate_limit_dropped', 'state-update')`.
+ */
+export function createMetrics() {
+  const counters = new Map();
+
+  return {
+    increment(name, label = 'total') {
+      let counter = counters.get(name);
+      if (!counter) {
+        counter = new Map();
+        counters.set(name, counter);
+      }
+      counter.set(label, (counter.get(label) ?? 0) + 1);
+    },
+
+    snapshot() {
+      const result = {};
+      counters.forEach((counter, name) => {
+        result[name] = Object.fromEntries(counter);
+      });
+      return result;
+    }
+  };
+}
@@ -0,0 +1,120 @@
+// Stack: Per-connection token buckets keyed by message type, with escalating penalties for floods.
+
+// `rate` tokens per second refill a bucket holding at most `burst`. Clients send state at 15 Hz
+// and ping every 2 s; the rest are user actions or WebRTC negotiation, which arrives in bursts.
+const MESSAGE_LIMITS = {
+  'state-update': { rate: 30, burst: 30 },
+  ping: { rate: 2, burst: 5 },
+  join: { rate: 0.5, burst: 3 },
+  'customization-update': { rate: 1, burst: 5 },
+  rename: { rate: 0.2, burst: 3 },
+  chat: { rate: 1, burst: 5 },
+  attack: { rate: 4, burst: 4 },
+  respawn: { rate: 1, burst: 3 },
+  'rtc-offer': { rate: 2, burst: 10 },
+  'rtc-answer': { rate: 2, burst: 10 },
+  'rtc-ice': { rate: 20, burst: 60 },
+  invalid: { rate: 1, burst: 5 }
+};
+const DEFAULT_LIMIT = { rate: 5, burst: 10 };
+
+const WARN_AFTER_STRIKES = 5;
+const DISCONNECT_AFTER_STRIKES = 30;
+// One strike is forgiven per second without violations.
+const STRIKE_DECAY_MS = 1000;
+
+/**
+ * Tracks one socket. `check(type)` spends a token from that type's bucket and answers:
+ * - 'allow': handle the message
+ * - 'drop': over the limit; ignore it quietly
+ * - 'warn': still over the limit after several drops; ignore it and tell the client once
+ * - 'disconnect': the flood kept going; close the connection
+ */
+export function createRateLimiter({
+  limits = MESSAGE_LIMITS,
+  warnAfter = WARN_AFTER_STRIKES,
+  disconnectAfter = DISCONNECT_AFTER_STRIKES
+} = {}) {
+  const buckets = new Map();
+  let strikes = 0;
+  let lastStrikeAt = 0;
+  let warned = false;
+
+  function take(type, now) {
+    const limit = limits[type] ?? DEFAULT_LIMIT;
+    let bucket = buckets.get(type);
+    if (!bucket) {
+      bucket = { tokens: limit.burst, updatedAt: now };
+      buckets.set(type, bucket);
+    }
+    return spend(bucket, limit, now);
+  }
+
+  return {
+    check(type, now = Date.now()) {
+      if (take(type, now)) {
+        return 'allow';
+      }
+      strikes = Math.max(0, strikes - (now - lastStrikeAt) / STRIKE_DECAY_MS) + 1;
+      lastStrikeAt = now;
+      if (strikes >= disconnectAfter) {
+        return 'disconnect';
+      }
+      if (strikes >= warnAfter) {
+        if (warned) {
+          return 'drop';
+        }
+        warned = true;
+        return 'warn';
+      }
+      warned = false;
+      return 'drop';
+    }
+  };
+}
+
+/**
+ * One bucket per key (an HTTP client address, say) for requests that have no socket to hang a
+ * limiter on. `check(key)` spends a token and returns false once the bucket is empty. Buckets
+ * that have filled up again are forgotten, so only recently active keys are kept.
+ */
+export function createKeyedRateLimiter({ rate, burst }) {
+  const limit = { rate, burst };
+  const buckets = new Map();
+  const fullAfterMs = (burst / rate) * 1000;
+  let sweptAt = 0;
+
+  function sweep(now) {
+    sweptAt = now;
+    buckets.forEach((bucket, key) => {
+      if (now - bucket.updatedAt >= fullAfterMs) {
+        buckets.delete(key);
+      }
+    });
+  }
+
+  return {
+    check(key, now = Date.now()) {
+      if (now - sweptAt >= fullAfterMs) {
+        sweep(now);
+      }
+      let bucket = buckets.get(key);
+      if (!bucket) {
+        bucket = { tokens: burst, updatedAt: now };
+        buckets.set(key, bucket);
+      }
+      return spend(bucket, limit, now);
+    }
+  };
+}
+
+function spend(bucket, limit, now) {
+  const refill = ((now - bucket.updatedAt) / 1000) * limit.rate;
+  bucket.tokens = Math.min(limit.burst, bucket.tokens + refill);
+  bucket.updatedAt = now;
+  if (bucket.tokens < 1) {
+    return false;
+  }
+  bucket.tokens -= 1;
+  return true;
+}
@@ -0,0 +1,225 @@
+// Stack: Player profiles as one JSON file each on local disk, addressed by a hash of the device token.
+import { createHash, randomBytes } from 'crypto';
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import path from 'path';
+import { sanitizeCustomization, sanitizeName } from '../rooms/sanitize.js';
+
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+const MAX_PREFERENCES_BYTES = 4096;
+const STATS = ['joins', 'knockouts', 'knockedOut', 'secondsPlayed'];
+const MAX_CACHED_PROFILES = 500;
+
+/**
+ * Raised when a profile request is refused. `status` is the HTTP status to answer with and
+ * `code` one of: unknown-profile, invalid-profile.
+ */
+export class ProfileError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = 'ProfileError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Profiles are created with a random token that only the browser keeps; the server files each
+ * one under the token's SHA-256, so the data directory alone cannot be used to sign in.
+ * The most recently used profiles stay cached and writes to the same profile are applied one at
+ * a time. A profile with a write still queued is never evicted, so no write can be lost.
+ */
+export function createProfileStore(dir, { maxCached = MAX_CACHED_PROFILES } = {}) {
+  const cache = new Map();
+  const pending = new Map();
+  let ready = null;
+
+  function fileFor(key) {
+    return path.join(dir, `${key}.json`);
+  }
+
+  // Moves `key` to the most recent end of the cache and drops the least recent idle profiles.
+  function remember(key, profile) {
+    cache.delete(key);
+    cache.set(key, profile);
+    for (const cachedKey of cache.keys()) {
+      if (cache.size <= maxCached) {
+        break;
+      }
+      if (!pending.has(cachedKey)) {
+        cache.delete(cachedKey);
+      }
+    }
+    return profile;
+  }
+
+  async function load(key) {
+    if (cache.has(key)) {
+      return remember(key, cache.get(key));
+    }
+    let profile = null;
+    try {
+      profile = JSON.parse(await readFile(fileFor(key), 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+    }
+    // Another caller may have loaded it while we were reading.
+    if (cache.has(key)) {
+      return remember(key, cache.get(key));
+    }
+    return profile && remember(key, profile);
+  }
+
+  async function persist(key, profile) {
+    ready ??= mkdir(dir, { recursive: true });
+    await ready;
+    // Write then rename so a crash never leaves half a file behind.
+    const file = fileFor(key);
+    const temp = `${file}.tmp`;
+    await writeFile(temp, JSON.stringify(profile));
+    await rename(temp, file);
+  }
+
+  // Runs `change(profile)` after any earlier change to the same profile has been saved.
+  function mutate(key, change) {
+    const previous = pending.get(key) ?? Promise.resolve();
+    const next = previous
+      .catch(() => {})
+      .then(async () => {
+        const profile = await load(key);
+        if (!profile) {
+          return null;
+        }
+        change(profile);
+        profile.updatedAt = Date.now();
+        await persist(key, profile);
+        return profile;
+      });
+    pending.set(key, next);
+    // Forget the queue once it has drained, unless another change has joined it meanwhile.
+    const settle = () => {
+      if (pending.get(key) === next) {
+        pending.delete(key);
+      }
+    };
+    next.then(settle, settle);
+    return next;
+  }
+
+  return {
+    keyFor: keyForToken,
+
+    async create() {
+      const token = randomBytes(32).toString('base64url');
+      const key = keyForToken(token);
+      const now = Date.now();
+      const profile = {
+        name: null,
+        customization: {},
+        preferences: {},
+        stats: Object.fromEntries(STATS.map((stat) => [stat, 0])),
+        createdAt: now,
+        updatedAt: now
+      };
+      // Saved before caching so an eviction can never leave it nowhere; nobody has the token yet.
+      await persist(key, profile);
+      remember(key, profile);
+      return { token, profile };
+    },
+
+    async get(token) {
+      const key = keyForToken(token);
+      const profile = key ? await load(key) : null;
+      if (!profile) {
+        throw new ProfileError('unknown-profile', 'No profile matches that key', 404);
+      }
+      return profile;
+    },
+
+    /**
+     * Applies the fields present in `changes`: `name` and `customization` replace the stored
+     * values, `preferences` is merged key by key (a null value removes the key).
+     */
+    async update(token, { name, customization, preferences } = {}) {
+      const key = keyForToken(token);
+      const merged = preferences === undefined ? null : checkPreferences(preferences);
+      const profile = key
+        ? await mutate(key, (current) => {
+          // Check the merged size before touching anything so a refusal changes nothing.
+          const nextPreferences = merged && mergePreferences(current.preferences, merged);
+          if (name !== undefined) {
+            current.name = name === null ? null : sanitizeName(name);
+          }
+          if (customization !== undefined) {
+            current.customization = sanitizeCustomization(customization);
+          }
+          if (nextPreferences) {
+            current.preferences = nextPreferences;
+          }
+        })
+        : null;
+      if (!profile) {
+        throw new ProfileError('unknown-profile', 'No profile matches that key', 404);
+      }
+      return profile;
+    },
+
+    /**
+     * Adds to the play counters of the profile stored under `key` (see keyFor). Unknown
+     * profiles and unknown counters are ignored.
+     */
+    recordStats(key, amounts) {
+      return mutate(key, (profile) => {
+        STATS.forEach((stat) => {
+          if (Number.isFinite(amounts[stat])) {
+            profile.stats[stat] = (profile.stats[stat] ?? 0) + amounts[stat];
+          }
+        });
+      });
+    }
+  };
+}
+
+// Returns the storage key for a token, or null if it is not shaped like one we issued.
+function keyForToken(token) {
+  if (typeof token !== 'string' || !TOKEN_PATTERN.test(token)) {
+    return null;
+  }
+  return createHash('sha256').update(token).digest('hex');
+}
+
+export function formatProfile(profile) {
+  return {
+    name: profile.name,
+    customization: profile.customization,
+    preferences: profile.preferences,
+    stats: profile.stats,
+    createdAt: profile.createdAt
+  };
+}
+
+function checkPreferences(preferences) {
+  if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+    throw new ProfileError('invalid-profile', 'Preferences must be an object');
+  }
+  return preferences;
+}
+
+function mergePreferences(current, changes) {
+  const merged = { ...current };
+  Object.entries(changes).forEach(([name, value]) => {
+    if (value === null) {
+      delete merged[name];
+    } else {
+      merged[name] = value;
+    }
+  });
+  if (Buffer.byteLength(JSON.stringify(merged)) > MAX_PREFERENCES_BYTES) {
+    throw new ProfileError(
+      'invalid-profile',
+      `Preferences can take at most ${MAX_PREFERENCES_BYTES} bytes`
+    );
+  }
+  return merged;
+}
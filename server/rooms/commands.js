@@ -0,0 +1,209 @@
+// Stack: Registry of chat slash commands; each declares its arguments, who may use it and a handler.
+import { randomInt } from 'crypto';
+
+// Roles in increasing order of power; a command is available to its role and every role above.
+const ROLES = ['player', 'moderator'];
+
+/**
+ * Thrown by a command's `parse` or `run` to refuse it; the message is shown to the sender only.
+ */
+export class CommandError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CommandError';
+  }
+}
+
+/**
+ * A command is `{ name, usage, description, permission, parse(rest, context), run(context) }`.
+ * `parse` turns the text after the command name into `context.args` (and throws CommandError
+ * on bad input); `run` gets `{ manager, room, player, args }` and acts through the manager.
+ */
+export function createCommandRegistry(commands = DEFAULT_COMMANDS) {
+  const registry = new Map();
+  commands.forEach((command) => registry.set(command.name, command));
+
+  function allowed(command, role) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(command.permission);
+  }
+
+  return {
+    register(command) {
+      registry.set(command.name, command);
+    },
+
+    /**
+     * Commands `role` may use, as sent to clients for autocomplete.
+     */
+    available(role) {
+      return Array.from(registry.values())
+        .filter((command) => allowed(command, role))
+        .map(({ name, usage, description }) => ({ name, usage, description }));
+    },
+
+    /**
+     * Runs a chat line that starts with "/". Returns false if the line is not a command
+     * (e.g. "/" on its own), so the caller can treat it as plain chat.
+     */
+    execute(manager, room, player, line) {
+      const match = /^\/(\S+)\s*(.*)$/.exec(line);
+      if (!match) {
+        return false;
+      }
+      const name = match[1].toLowerCase();
+      const command = registry.get(name);
+      try {
+        if (!command || !allowed(command, player.role)) {
+          throw new CommandError(`Unknown command /${name}. Type /help for a list.`);
+        }
+        const context = { manager, room, player };
+        context.args = command.parse ? command.parse(match[2].trim(), context) : match[2].trim();
+        command.run(context);
+      } catch (err) {
+        if (!(err instanceof CommandError)) {
+          throw err;
+        }
+        manager.sendNotice(player, err.message);
+      }
+      return true;
+    }
+  };
+}
+
+const DEFAULT_COMMANDS = [
+  {
+    name: 'help',
+    usage: '/help',
+    description: 'List the commands you can use',
+    permission: 'player',
+    run({ manager, player }) {
+      const lines = manager.commands
+        .available(player.role)
+        .map(({ usage, description }) => `${usage} – ${description}`);
+      manager.sendNotice(player, lines.join('\n'));
+    }
+  },
+  {
+    name: 'me',
+    usage: '/me <action>',
+    description: 'Describe what you are doing, e.g. /me waves',
+    permission: 'player',
+    parse(rest) {
+      if (!rest) {
+        throw new CommandError('Usage: /me <action>');
+      }
+      return rest;
+    },
+    run({ manager, room, player, args }) {
+      manager.postChat(room, player, 'emote', args);
+    }
+  },
+  {
+    name: 'roll',
+    usage: '/roll [NdM+K]',
+    description: 'Roll dice for everyone to see, e.g. /roll 2d6',
+    permission: 'player',
+    parse(rest) {
+      return parseDice(rest || '1d6');
+    },
+    run({ manager, room, player, args }) {
+      const { count, sides, modifier } = args;
+      const rolls = Array.from({ length: count }, () => randomInt(1, sides + 1));
+      const total = rolls.reduce((sum, roll) => sum + roll, modifier);
+      const notation = `${count}d${sides}${formatModifier(modifier)}`;
+      const shown = rolls.length > 1 || modifier;
+      const detail = shown ? ` (${rolls.join(' + ')}${formatModifier(modifier, ' ')})` : '';
+      manager.postChat(room, player, 'roll', `rolled ${notation}: ${total}${detail}`);
+    }
+  },
+  {
+    name: 'whisper',
+    usage: '/whisper <name> <message>',
+    description: 'Send a private message to one player',
+    permission: 'player',
+    parse(rest, { room, player }) {
+      const { target, remainder } = takePlayerName(room, rest);
+      if (!target) {
+        throw new CommandError('Usage: /whisper <name> <message>, with the name of someone here');
+      }
+      if (target === player) {
+        throw new CommandError('Whispering to yourself? Try /me instead.');
+      }
+      if (!remainder) {
+        throw new CommandError(`What do you want to whisper to ${target.name}?`);
+      }
+      return { target, text: remainder };
+    },
+    run({ manager, player, args }) {
+      manager.sendWhisper(player, args.target, args.text);
+    }
+  },
+  {
+    name: 'afk',
+    usage: '/afk [message]',
+    description: 'Mark yourself as away (again to come back)',
+    permission: 'player',
+    run({ manager, player, args }) {
+      manager.setAway(player, !player.afk, args || null);
+    }
+  },
+  {
+    name: 'kick',
+    usage: '/kick <name> [reason]',
+    description: 'Remove a player from this room',
+    permission: 'moderator',
+    parse(rest, { room, player }) {
+      const { target, remainder } = takePlayerName(room, rest);
+      if (!target) {
+        throw new CommandError('Usage: /kick <name> [reason], with the name of someone here');
+      }
+      if (target === player || target.role === 'moderator') {
+        throw new CommandError('Moderators cannot be kicked.');
+      }
+      return { target, reason: remainder || null };
+    },
+    run({ manager, room, player, args }) {
+      console.log(`[room:${room.id}] moderator ${player.id} kicked ${args.target.id}`);
+      manager.broadcastNotice(room, `${args.target.name} was removed by a moderator.`);
+      manager.kickPlayer(args.target, args.reason);
+    }
+  }
+];
+
+/**
+ * Names may contain spaces, so match the longest name in the room that the text starts with.
+ */
+function takePlayerName(room, text) {
+  const lowered = text.toLowerCase();
+  let target = null;
+  room.players.forEach((candidate) => {
+    const name = candidate.name.toLowerCase();
+    const boundary = lowered.charAt(name.length);
+    if (
+      candidate.ready &&
+      lowered.startsWith(name) &&
+      (boundary === '' || boundary === ' ') &&
+      (!target || name.length > target.name.length)
+    ) {
+      target = candidate;
+    }
+  });
+  return { target, remainder: target ? text.slice(target.name.length).trim() : text };
+}
+
+function parseDice(text) {
+  const match = /^(\d{0,2})d(\d{1,4})([+-]\d{1,4})?$/i.exec(text.replace(/\s+/g, ''));
+  const count = match ? Number(match[1] || 1) : 0;
+  const sides = match ? Number(match[2]) : 0;
+  if (!match || count < 1 || count > 20 || sides < 2 || sides > 1000) {
+    throw new CommandError('Usage: /roll NdM+K, with 1-20 dice of 2-1000 sides, e.g. /roll 2d6+1');
+  }
+  return { count, sides, modifier: Number(match[3] ?? 0) };
+}
+
+function formatModifier(modifier, gap = '') {
+  if (!modifier) {
+    return '';
+  }
+  return `${gap}${modifier > 0 ? '+' : '-'}${gap}${Math.abs(modifier)}`;
+}
@@ -0,0 +1,48 @@
+// Stack: Uniform grid over the ground plane used to find which players are near each other.
+
+export const DEFAULT_INTEREST_RADIUS = 24;
+
+/**
+ * Buckets items by the x/z cell their position falls in. Built fresh each tick; with the cell
+ * size equal to the query radius a lookup only ever touches the 3x3 cells around the centre.
+ */
+export function createSpatialGrid(cellSize) {
+  const cells = new Map();
+
+  function keyFor(cx, cz) {
+    return `${cx}:${cz}`;
+  }
+
+  return {
+    insert(item, position) {
+      const key = keyFor(Math.floor(position[0] / cellSize), Math.floor(position[2] / cellSize));
+      let cell = cells.get(key);
+      if (!cell) {
+        cell = [];
+        cells.set(key, cell);
+      }
+      cell.push({ item, position });
+    },
+
+    query(position, radius) {
+      const span = Math.ceil(radius / cellSize);
+      const cx = Math.floor(position[0] / cellSize);
+      const cz = Math.floor(position[2] / cellSize);
+      const found = [];
+      for (let x = cx - span; x <= cx + span; x += 1) {
+        for (let z = cz - span; z <= cz + span; z += 1) {
+          cells.get(keyFor(x, z))?.forEach((entry) => {
+            if (withinRadius(position, entry.position, radius)) {
+              found.push(entry.item);
+            }
+          });
+        }
+      }
+      return found;
+    }
+  };
+}
+
+export function withinRadius(a, b, radius) {
+  return Math.hypot(a[0] - b[0], a[2] - b[2]) <= radius;
+}
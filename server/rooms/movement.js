@@ -0,0 +1,75 @@
+// Stack: Server-side movement validation; caps speed, jump height and world bounds for state updates.
+import {
+  EYE_HEIGHT,
+  WORLD_RADIUS,
+  MAX_GROUND_SPEED,
+  MAX_JUMP_HEIGHT
+} from '../../shared/movement.js';
+
+// Headroom over the controller's terminal speed for timer drift and packets arriving in bursts.
+const SPEED_TOLERANCE = 1.25;
+const MAX_SPEED = MAX_GROUND_SPEED * SPEED_TOLERANCE;
+// Unused distance can be banked for at most this long, so idling cannot buy a teleport.
+const MAX_BUDGET_SECONDS = 1;
+const MAX_BUDGET = MAX_SPEED * MAX_BUDGET_SECONDS;
+const MAX_HEIGHT = EYE_HEIGHT + MAX_JUMP_HEIGHT + 0.1;
+// Differences below this are float noise and are fixed silently.
+const CORRECTION_EPSILON = 0.05;
+
+export function createMovementState(now = Date.now()) {
+  return {
+    lastAt: now,
+    budget: MAX_BUDGET,
+    correction: 0
+  };
+}
+
+/**
+ * Clamps a position into the walkable area: inside the world radius, between the ground
+ * and the top of a jump. `corrected` is set when the client needs to be told.
+ */
+export function clampToWorld(position) {
+  if (!position.every(Number.isFinite)) {
+    return { position: [0, EYE_HEIGHT, 0], corrected: true };
+  }
+  let [x, y, z] = position;
+  const radius = Math.hypot(x, z);
+  if (radius > WORLD_RADIUS) {
+    x *= WORLD_RADIUS / radius;
+    z *= WORLD_RADIUS / radius;
+  }
+  y = Math.min(Math.max(y, EYE_HEIGHT), MAX_HEIGHT);
+  const drift = Math.hypot(x - position[0], y - position[1], z - position[2]);
+  return { position: [x, y, z], corrected: drift > CORRECTION_EPSILON };
+}
+
+/**
+ * Validates a move from `from` to `to`. Horizontal travel is paid for from a distance budget
+ * that refills at the maximum speed; anything beyond it is cut short along the same heading.
+ */
+export function constrainMovement(movement, from, to, now = Date.now()) {
+  const elapsed = Math.max(0, now - movement.lastAt) / 1000;
+  movement.lastAt = now;
+  movement.budget = Math.min(MAX_BUDGET, movement.budget + elapsed * MAX_SPEED);
+
+  if (!to.every(Number.isFinite)) {
+    return { position: from.slice(), corrected: true };
+  }
+
+  const dx = to[0] - from[0];
+  const dz = to[2] - from[2];
+  const distance = Math.hypot(dx, dz);
+  let target = to;
+  let corrected = false;
+  if (distance > movement.budget) {
+    const scale = movement.budget / distance;
+    target = [from[0] + dx * scale, to[1], from[2] + dz * scale];
+    corrected = distance - movement.budget > CORRECTION_EPSILON;
+    movement.budget = 0;
+  } else {
+    movement.budget -= distance;
+  }
+
+  const clamped = clampToWorld(target);
+  return { position: clamped.position, corrected: corrected || clamped.corrected };
+}
@@ -1,24 +1,198 @@
-// Stack: In-memory room state manager for a single shared courtyard room.
+// Stack: In-memory registry of courtyard rooms; rooms are created on demand and dropped once empty.
+import { createHash, randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
 import { v4 as uuidv4 } from 'uuid';
 import { WebSocket } from 'ws';
+import { clampToWorld, constrainMovement, createMovementState } from './movement.js';
+import { createSpatialGrid, DEFAULT_INTEREST_RADIUS, withinRadius } from './interest.js';
+import { createCommandRegistry } from './commands.js';
+import {
+  checkName,
+  MAX_NAME_LENGTH,
+  sanitizeChat,
+  sanitizeCustomization,
+  sanitizeName
+} from './sanitize.js';
+import { createKeyedRateLimiter, createRateLimiter } from '../net/rateLimiter.js';
+import { createMetrics } from '../net/metrics.js';
+import { decodeMessage, encodeSnapshot } from '../../shared/wireFormat.js';
+import {
+  CLIENT_MESSAGES,
+  KICKED_CLOSE_CODE,
+  RATE_LIMITED_CLOSE_CODE,
+  ProtocolError,
+  parseMessage,
+  toErrorMessage,
+  validateMessage
+} from '../../shared/protocol.js';
 
 const MAX_HEALTH = 6;
 const ATTACK_RANGE = 2.2;
 const ATTACK_ARC_COS = Math.cos(Math.PI / 3); // 60 degree arc
 const ATTACK_COOLDOWN_MS = 600;
+const DEFAULT_ROOM_ID = 'default';
+const DEFAULT_ROOM_NAME = 'The Courtyard';
+const ROOM_CAPACITY = 16;
+const ROOM_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+const ROOM_CODE_LENGTH = 6;
+const INVITE_CODE_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 64;
+const RESUME_GRACE_MS = 30000;
+const TICK_RATE = 20;
+// Players outside the interest radius are only refreshed every Nth tick (2 Hz at 20 Hz ticks).
+const FAR_UPDATE_TICKS = 10;
+// Recent chat lines kept per room and replayed to anyone who joins.
+const CHAT_HISTORY_LENGTH = 50;
+
+// Each password check costs a scrypt run, so an address gets a few tries and then one every 5 s.
+const PASSWORD_ATTEMPTS = { rate: 0.2, burst: 5 };
+const scryptAsync = promisify(scrypt);
+
+const JOIN_REJECTIONS = {
+  'room-full': 'That campfire is full. Try another room.',
+  'invite-required': 'That campfire is private. Ask a friend for the invite code.',
+  'password-required': 'That campfire needs a password.',
+  'wrong-password': 'Wrong password for that campfire.',
+  'too-many-attempts': 'Too many password attempts. Wait a moment and try again.'
+};
 
 export class RoomManager {
-  constructor() {
+  /**
+   * `moderatorKey` is a shared secret; players who send it with `join` moderate whichever room
+   * they are in. Whoever creates a room always moderates it. With a `profiles` store, players
+   * who join with their profile token have their play counted towards its stats.
+   */
+  constructor({
+    interestRadius = DEFAULT_INTEREST_RADIUS,
+    metrics = createMetrics(),
+    profiles = null,
+    moderatorKey = null,
+    commands = createCommandRegistry()
+  } = {}) {
+    this.interestRadius = interestRadius;
+    this.metrics = metrics;
+    this.profiles = profiles;
+    this.commands = commands;
+    this.moderatorKey = moderatorKey;
     this.players = new Map();
-    this.roomId = 'default';
+    this.rooms = new Map();
+    this.invites = new Map();
+    this.sessions = new Map();
+    // Keyed by client address, so opening new connections does not buy more guesses.
+    this.passwordAttempts = createKeyedRateLimiter(PASSWORD_ATTEMPTS);
+    this.tickTimer = null;
+  }
+
+  start() {
+    if (this.tickTimer) {
+      return;
+    }
+    this.tickTimer = setInterval(() => this.tick(), 1000 / TICK_RATE);
+  }
+
+  stop() {
+    clearInterval(this.tickTimer);
+    this.tickTimer = null;
   }
 
-  addPlayer(socket) {
+  /**
+   * Sends every player a timestamped snapshot of the others whose state changed. Players within
+   * the interest radius are included every tick; those further away only every FAR_UPDATE_TICKS.
+   */
+  tick() {
+    const time = Date.now();
+    this.rooms.forEach((room) => {
+      room.tick += 1;
+      const farTick = room.tick % FAR_UPDATE_TICKS === 0;
+      const ready = Array.from(room.players.values()).filter((player) => player.ready);
+      const grid = createSpatialGrid(this.interestRadius);
+      ready.forEach((player) => grid.insert(player, player.state.position));
+      const frames = new Map();
+
+      ready.forEach((viewer) => {
+        const near = grid
+          .query(viewer.state.position, this.interestRadius)
+          .filter((other) => other !== viewer);
+        const entered = this.updateInterest(viewer, near);
+        // Players that just came into range may have last been sent at the far rate.
+        const changed = farTick
+          ? ready.filter((other) => other !== viewer && (other.farDirty || entered.has(other.id)))
+          : near.filter((other) => other.dirty || entered.has(other.id));
+        if (changed.length === 0) {
+          return;
+        }
+        this.sendSnapshot(viewer, frames, {
+          tick: room.tick,
+          time,
+          players: changed.map(formatSnapshotEntry)
+        });
+      });
+
+      ready.forEach((player) => {
+        player.dirty = false;
+        if (farTick) {
+          player.farDirty = false;
+        }
+      });
+    });
+  }
+
+  /**
+   * Tells a viewer which players moved into or out of its interest radius since last tick and
+   * returns the ids that entered.
+   */
+  updateInterest(viewer, near) {
+    const current = new Set(near.map((other) => other.id));
+    const entered = new Set([...current].filter((id) => !viewer.interest.has(id)));
+    const left = [...viewer.interest].filter((id) => !current.has(id));
+    viewer.interest = current;
+    if (entered.size > 0) {
+      this.send(viewer.id, { type: 'interest-enter', payload: { ids: [...entered] } });
+    }
+    if (left.length > 0) {
+      this.send(viewer.id, { type: 'interest-leave', payload: { ids: left } });
+    }
+    return entered;
+  }
+
+  /**
+   * Players that negotiated a binary wire version get the packed frame, everyone else JSON.
+   * Viewers that end up with the same player list and format share one encoded frame.
+   */
+  sendSnapshot(viewer, frames, snapshot) {
+    const format = viewer.wireVersion ?? 'json';
+    const key = `${format}|${snapshot.players.map((entry) => entry.id).join(',')}`;
+    if (!frames.has(key)) {
+      frames.set(
+        key,
+        format === 'json'
+          ? JSON.stringify({ type: 'snapshot', payload: snapshot })
+          : encodeSnapshot(snapshot, format)
+      );
+    }
+    sendRaw(viewer.socket, frames.get(key));
+  }
+
+  addPlayer(socket, { wireVersion = null, address = null } = {}) {
     const player = {
       id: uuidv4(),
+      address,
+      index: null,
       name: 'guest',
+      role: 'player',
+      afk: false,
+      profileKey: null,
+      joinedAt: null,
       socket,
+      limiter: createRateLimiter(),
+      wireVersion,
+      resumeToken: createResumeToken(),
+      suspendTimer: null,
+      roomId: null,
       ready: false,
+      dirty: false,
+      farDirty: false,
+      interest: new Set(),
       state: {
         position: [0, 0, 0],
         rotation: [0, 0, 0]
@@ -26,51 +200,274 @@ export class RoomManager {
       meta: {
         health: MAX_HEALTH,
         alive: true,
-        lastAttack: 0
+        lastAttack: 0,
+        rtt: null
       },
+      movement: createMovementState(),
       customization: {}
     };
     this.players.set(player.id, player);
-    console.log(`[room:${this.roomId}] player joined ${player.id}`);
+    this.sessions.set(player.resumeToken, player.id);
+    console.log(`[lobby] connection opened ${player.id}`);
+    return player;
+  }
+
+  /**
+   * Reattaches a socket to a player held in the grace period. The token is single-use:
+   * a fresh one is issued so a leaked token cannot hijack the session later.
+   */
+  resumePlayer(token, socket, { wireVersion = null, address = null } = {}) {
+    const player = this.players.get(this.sessions.get(token));
+    if (!player || !player.roomId) {
+      return null;
+    }
+    this.sessions.delete(token);
+    clearTimeout(player.suspendTimer);
+    player.suspendTimer = null;
+    const previous = player.socket;
+    player.socket = socket;
+    player.limiter = createRateLimiter();
+    player.wireVersion = wireVersion;
+    player.address = address;
+    if (previous && previous !== socket) {
+      previous.terminate();
+    }
+    player.resumeToken = createResumeToken();
+    this.sessions.set(player.resumeToken, player.id);
+    console.log(`[room:${player.roomId}] player resumed ${player.id}`);
     return player;
   }
 
-  handleMessage(playerId, raw) {
+  suspendPlayer(playerId, socket, { clean = false } = {}) {
+    const player = this.players.get(playerId);
+    if (!player || player.socket !== socket) {
+      return;
+    }
+    if (clean || !player.roomId) {
+      this.removePlayer(playerId);
+      return;
+    }
+    player.socket = null;
+    clearTimeout(player.suspendTimer);
+    player.suspendTimer = setTimeout(() => this.removePlayer(playerId), RESUME_GRACE_MS);
+    console.log(`[room:${player.roomId}] player suspended ${playerId}`);
+  }
+
+  getRoom(roomId) {
+    return this.rooms.get(roomId) ?? null;
+  }
+
+  getOrCreateRoom(
+    roomId,
+    { name, visibility = 'public', passwordHash = null, ownerId = null } = {}
+  ) {
+    let room = this.rooms.get(roomId);
+    if (!room) {
+      room = {
+        id: roomId,
+        name: name ?? (roomId === DEFAULT_ROOM_ID ? DEFAULT_ROOM_NAME : roomId),
+        capacity: ROOM_CAPACITY,
+        visibility,
+        password: passwordHash,
+        inviteCode: null,
+        ownerId,
+        tick: 0,
+        players: new Map(),
+        chat: [],
+        createdAt: Date.now()
+      };
+      if (visibility === 'private') {
+        room.inviteCode = this.generateCode(INVITE_CODE_LENGTH);
+        this.invites.set(room.inviteCode, room.id);
+      }
+      this.rooms.set(roomId, room);
+      console.log(`[room:${roomId}] created (${visibility}${room.password ? ', locked' : ''})`);
+    }
+    return room;
+  }
+
+  /**
+   * Works out which room a join payload points at. `roomId` may be a room id or a private
+   * room's invite code; invites bypass the password, direct ids into private rooms do not.
+   */
+  async resolveJoinTarget(player, { roomId, create, password }) {
+    if (create && typeof create === 'object') {
+      const newPassword = sanitizePassword(create.password);
+      if (newPassword && !this.passwordAttempts.check(player.address)) {
+        return { roomId: null, error: 'too-many-attempts' };
+      }
+      const passwordHash = newPassword ? await hashPassword(newPassword) : null;
+      return {
+        roomId: this.generateCode(ROOM_CODE_LENGTH),
+        options: {
+          name: sanitizeRoomName(create.name),
+          visibility: create.visibility === 'private' ? 'private' : 'public',
+          passwordHash,
+          ownerId: player.id
+        }
+      };
+    }
+
+    const code = sanitizeRoomId(roomId);
+    const invitedRoomId = this.invites.get(code);
+    const room = this.rooms.get(invitedRoomId ?? code);
+    if (!room) {
+      return { roomId: code, options: {} };
+    }
+    if (room.players.has(player.id)) {
+      return { room };
+    }
+    if (room.players.size >= room.capacity) {
+      return { roomId: code, error: 'room-full' };
+    }
+    if (!invitedRoomId) {
+      if (room.password) {
+        const supplied = sanitizePassword(password);
+        if (!supplied) {
+          return { roomId: code, error: 'password-required' };
+        }
+        if (!this.passwordAttempts.check(player.address)) {
+          return { roomId: code, error: 'too-many-attempts' };
+        }
+        if (!(await verifyPassword(room.password, supplied))) {
+          return { roomId: code, error: 'wrong-password' };
+        }
+        // The room may have closed or filled up while the password was being checked.
+        if (this.rooms.get(room.id) !== room) {
+          return { roomId: code, options: {} };
+        }
+        if (room.players.size >= room.capacity) {
+          return { roomId: code, error: 'room-full' };
+        }
+      } else if (room.visibility === 'private') {
+        return { roomId: code, error: 'invite-required' };
+      }
+    }
+    return { room };
+  }
+
+  /**
+   * Puts `player` into the room the join payload points at, creating it if needed, or tells
+   * them why not with `join-rejected`.
+   */
+  async handleJoin(player, payload) {
+    const { name, position, rotation, customization, moderatorKey, profileToken } = payload;
+    player.joinSeq = (player.joinSeq ?? 0) + 1;
+    const seq = player.joinSeq;
+    const target = await this.resolveJoinTarget(player, payload);
+    // Password hashing yields to the event loop; drop the join if the player left or sent
+    // another one meanwhile.
+    if (this.players.get(player.id) !== player || player.joinSeq !== seq) {
+      return;
+    }
+    if (target.error) {
+      this.send(player.id, {
+        type: 'join-rejected',
+        payload: {
+          roomId: target.roomId,
+          code: target.error,
+          message: JOIN_REJECTIONS[target.error]
+        }
+      });
+      return;
+    }
+    const room = target.room ?? this.getOrCreateRoom(target.roomId, target.options);
+    if (room.players.has(player.id)) {
+      // A repeat join for the current room only resyncs the sender. The room already
+      // knows this player, and name, look and place change through their own messages.
+      this.sendRoomState(player);
+      return;
+    }
+    if (player.roomId) {
+      this.leaveRoom(player);
+    }
+
+    player.name = claimName(room, sanitizeName(name), player.id);
+    player.role =
+      room.ownerId === player.id || matchesSecret(moderatorKey, this.moderatorKey)
+        ? 'moderator'
+        : 'player';
+    player.state.position = clampToWorld(toVector(position)).position;
+    player.state.rotation = toVector(rotation);
+    player.movement = createMovementState();
+    player.customization = sanitizeCustomization(customization);
+    player.roomId = room.id;
+    player.profileKey = this.profiles?.keyFor(profileToken) ?? null;
+    player.index = allocatePlayerIndex(room);
+    player.joinedAt = Date.now();
+    this.recordStats(player, { joins: 1 });
+    player.ready = true;
+    room.players.set(player.id, player);
+    console.log(`[room:${room.id}] player joined ${player.id}`);
+
+    this.sendRoomState(player);
+
+    this.broadcast(
+      room.id,
+      {
+        type: 'player-joined',
+        payload: { player: formatPublicState(player) }
+      },
+      player.id
+    );
+  }
+
+  listRooms() {
+    const summaries = Array.from(this.rooms.values())
+      .filter((room) => room.visibility === 'public')
+      .map(formatRoomSummary);
+    if (!this.rooms.has(DEFAULT_ROOM_ID)) {
+      summaries.unshift({
+        id: DEFAULT_ROOM_ID,
+        name: DEFAULT_ROOM_NAME,
+        players: 0,
+        capacity: ROOM_CAPACITY,
+        locked: false
+      });
+    }
+    return summaries.sort((a, b) => {
+      if (a.id === DEFAULT_ROOM_ID) return -1;
+      if (b.id === DEFAULT_ROOM_ID) return 1;
+      return b.players - a.players || a.name.localeCompare(b.name);
+    });
+  }
+
+  generateCode(length) {
+    let code;
+    do {
+      code = '';
+      for (let i = 0; i < length; i += 1) {
+        code += ROOM_CODE_ALPHABET[Math.floor(Math.random() * ROOM_CODE_ALPHABET.length)];
+      }
+    } while (this.rooms.has(code) || this.invites.has(code));
+    return code;
+  }
+
+  handleMessage(playerId, raw, isBinary = false) {
     const player = this.players.get(playerId);
     if (!player) {
       return;
     }
 
+    const result = isBinary ? parseBinaryMessage(raw) : parseMessage(CLIENT_MESSAGES, raw);
+    const verdict = player.limiter.check(result.ok ? result.type : 'invalid');
+    if (verdict !== 'allow') {
+      this.enforceRateLimit(player, result.ok ? result.type : 'invalid', verdict);
+      return;
+    }
+    if (!result.ok) {
+      this.metrics.increment('invalid_messages', result.error.code);
+      this.send(player.id, toErrorMessage(result.error));
+      return;
+    }
+    const message = { type: result.type, payload: result.payload };
+
     try {
-      const message = JSON.parse(raw);
-      if (!message?.type) {
-        return;
-      }
       switch (message.type) {
         case 'join': {
-          const { name, position, rotation, customization } = message.payload ?? {};
-          player.name = sanitizeName(name);
-          player.state.position = toVector(position);
-          player.state.rotation = toVector(rotation);
-          player.customization = sanitizeCustomization(customization);
-          player.ready = true;
-
-          this.send(player.id, {
-            type: 'room-state',
-            payload: {
-              players: Array.from(this.players.values())
-                .filter((p) => p.id !== player.id && p.ready)
-                .map(formatPublicState)
-            }
+          this.handleJoin(player, message.payload ?? {}).catch((err) => {
+            console.warn(`Failed to handle join from ${playerId}:`, err);
           });
-
-          this.broadcast(
-            {
-              type: 'player-joined',
-              payload: { player: formatPublicState(player) }
-            },
-            player.id
-          );
           break;
         }
 
@@ -78,29 +475,73 @@ export class RoomManager {
           if (!player.ready || !player.meta.alive) {
             return;
           }
-          const { position, rotation } = message.payload ?? {};
-          player.state.position = toVector(position);
+          const { position, rotation, ack } = message.payload ?? {};
+          // Updates sent before the client applied our last correction would undo it.
+          if (player.movement.correction && ack !== player.movement.correction) {
+            return;
+          }
+          const move = constrainMovement(
+            player.movement,
+            player.state.position,
+            toVector(position)
+          );
+          player.state.position = move.position;
           player.state.rotation = toVector(rotation);
+          player.dirty = true;
+          player.farDirty = true;
+          if (move.corrected) {
+            player.movement.correction += 1;
+            this.send(player.id, {
+              type: 'position-correction',
+              payload: {
+                position: move.position,
+                correction: player.movement.correction
+              }
+            });
+          }
+          break;
+        }
 
+        case 'customization-update': {
+          if (!player.ready) {
+            return;
+          }
+          player.customization = sanitizeCustomization(message.payload.customization);
           this.broadcast(
+            player.roomId,
             {
-              type: 'state-update',
-              payload: {
-                id: player.id,
-                position: player.state.position,
-                rotation: player.state.rotation
-              }
+              type: 'customization-update',
+              payload: { id: player.id, customization: player.customization }
             },
             player.id
           );
           break;
         }
 
+        case 'rename': {
+          this.handleRename(player, message.payload);
+          break;
+        }
+
+        case 'chat': {
+          this.handleChat(player, message.payload.text);
+          break;
+        }
+
         case 'attack': {
           this.handleAttack(player);
           break;
         }
 
+        case 'ping': {
+          const { seq, t } = message.payload ?? {};
+          this.send(player.id, {
+            type: 'pong',
+            payload: { seq, t }
+          });
+          break;
+        }
+
         case 'respawn': {
           this.handleRespawn(player);
           break;
@@ -113,7 +554,7 @@ export class RoomManager {
           if (!to) {
             return;
           }
-          this.sendTo(to, {
+          this.sendTo(player, to, {
             type: message.type,
             payload: {
               from: player.id,
@@ -128,7 +569,28 @@ export class RoomManager {
           break;
       }
     } catch (err) {
-      console.warn(`Failed to parse message from ${playerId}:`, err);
+      console.warn(`Failed to handle ${message.type} from ${playerId}:`, err);
+    }
+  }
+
+  /**
+   * Drops a message that exceeded its rate limit. Repeat offenders are warned once, and a
+   * connection that keeps flooding is closed and its player removed without a grace period.
+   */
+  enforceRateLimit(player, type, verdict) {
+    this.metrics.increment('rate_limit_dropped', type);
+    if (verdict === 'warn') {
+      this.metrics.increment('rate_limit_warned', type);
+      this.send(
+        player.id,
+        toErrorMessage(new ProtocolError('rate-limited', `Too many ${type} messages`, type))
+      );
+    } else if (verdict === 'disconnect') {
+      this.metrics.increment('rate_limit_disconnected', type);
+      console.warn(`[lobby] disconnecting ${player.id} for flooding ${type}`);
+      const { socket } = player;
+      this.removePlayer(player.id);
+      socket.close(RATE_LIMITED_CLOSE_CODE, 'rate-limited');
     }
   }
 
@@ -138,10 +600,95 @@ export class RoomManager {
       return;
     }
     this.players.delete(playerId);
-    console.log(`[room:${this.roomId}] player left ${playerId}`);
-    this.broadcast({
+    this.sessions.delete(player.resumeToken);
+    clearTimeout(player.suspendTimer);
+    this.leaveRoom(player);
+    console.log(`[lobby] connection closed ${playerId}`);
+  }
+
+  recordLatency(playerId, rtt) {
+    const player = this.players.get(playerId);
+    if (!player) {
+      return;
+    }
+    // Smooth the samples a little so one slow pong does not make the roster flicker.
+    const previous = player.meta.rtt;
+    player.meta.rtt = previous === null ? rtt : Math.round(previous * 0.7 + rtt * 0.3);
+  }
+
+  broadcastLatency() {
+    this.rooms.forEach((room) => {
+      const players = Array.from(room.players.values())
+        .filter((player) => player.ready && player.meta.rtt !== null)
+        .map((player) => ({ id: player.id, rtt: player.meta.rtt }));
+      if (players.length === 0) {
+        return;
+      }
+      this.broadcast(room.id, {
+        type: 'latency-update',
+        payload: { players }
+      });
+    });
+  }
+
+  sendRoomState(player, { includeSelf = false } = {}) {
+    const room = this.rooms.get(player.roomId);
+    if (!room) {
+      return;
+    }
+    // The client rebuilds its avatars from this message, so announce everyone nearby again.
+    player.interest = new Set();
+    this.send(player.id, {
+      type: 'room-state',
+      payload: {
+        roomId: room.id,
+        roomName: room.name,
+        visibility: room.visibility,
+        inviteCode: room.inviteCode,
+        you: { name: player.name, role: player.role },
+        self: includeSelf ? formatPublicState(player) : undefined,
+        players: Array.from(room.players.values())
+          .filter((p) => p.id !== player.id && p.ready)
+          .map(formatPublicState),
+        chat: room.chat,
+        commands: this.commands.available(player.role)
+      }
+    });
+  }
+
+  leaveRoom(player) {
+    const room = player.roomId ? this.rooms.get(player.roomId) : null;
+    player.roomId = null;
+    player.ready = false;
+    player.interest = new Set();
+    if (!room || !room.players.delete(player.id)) {
+      return;
+    }
+    this.recordStats(player, {
+      secondsPlayed: Math.round((Date.now() - player.joinedAt) / 1000)
+    });
+    room.players.forEach((other) => other.interest.delete(player.id));
+    console.log(`[room:${room.id}] player left ${player.id}`);
+    if (room.players.size === 0) {
+      this.rooms.delete(room.id);
+      if (room.inviteCode) {
+        this.invites.delete(room.inviteCode);
+      }
+      console.log(`[room:${room.id}] closed`);
+      return;
+    }
+    this.broadcast(room.id, {
       type: 'player-left',
-      payload: { id: playerId }
+      payload: { id: player.id }
+    });
+  }
+
+  recordStats(player, amounts) {
+    if (!this.profiles || !player.profileKey) {
+      return;
+    }
+    this.profiles.recordStats(player.profileKey, amounts).catch((err) => {
+      console.warn(`Failed to record stats for ${player.id}:`, err);
     });
   }
 
@@ -153,86 +700,205 @@ export class RoomManager {
     safeSend(player.socket, payload);
   }
 
-  sendTo(playerId, payload) {
+  sendTo(fromPlayer, playerId, payload) {
     const target = this.players.get(playerId);
-    if (!target || !target.ready) {
+    if (!target || !target.ready || target.roomId !== fromPlayer.roomId) {
       return;
     }
     safeSend(target.socket, payload);
   }
 
-  broadcast(payload, excludeId) {
-    this.players.forEach((player) => {
+  /**
+   * Like broadcast, but only to the origin player and those within its interest radius.
+   */
+  broadcastNearby(origin, payload) {
+    const room = this.rooms.get(origin.roomId);
+    if (!room) {
+      return;
+    }
+    const data = JSON.stringify(payload);
+    room.players.forEach((player) => {
+      if (!player.ready) {
+        return;
+      }
+      if (
+        player !== origin &&
+        !withinRadius(player.state.position, origin.state.position, this.interestRadius)
+      ) {
+        return;
+      }
+      sendRaw(player.socket, data);
+    });
+  }
+
+  broadcast(roomId, payload, excludeId) {
+    const room = this.rooms.get(roomId);
+    if (!room) {
+      return;
+    }
+    // Encode once and reuse the same frame for every recipient.
+    const data = JSON.stringify(payload);
+    room.players.forEach((player) => {
       if (player.id === excludeId) {
         return;
       }
       if (!player.ready) {
         return;
       }
-      safeSend(player.socket, payload);
+      sendRaw(player.socket, data);
     });
   }
 }
 
 function safeSend(socket, payload) {
+  sendRaw(socket, JSON.stringify(payload));
+}
+
+function sendRaw(socket, data) {
   if (!socket || socket.readyState !== WebSocket.OPEN) {
     return;
   }
   try {
-    socket.send(JSON.stringify(payload));
+    socket.send(data);
   } catch (err) {
     console.warn('Failed to send payload:', err);
   }
 }
 
+// Snapshots address players by a short per-room index instead of their id; reuse the lowest free one.
+function allocatePlayerIndex(room) {
+  const used = new Set();
+  room.players.forEach((player) => used.add(player.index));
+  let index = 0;
+  while (used.has(index)) {
+    index += 1;
+  }
+  return index;
+}
+
+function formatSnapshotEntry(player) {
+  return {
+    id: player.id,
+    index: player.index,
+    position: player.state.position,
+    rotation: player.state.rotation
+  };
+}
+
+function parseBinaryMessage(raw) {
+  const decoded = decodeMessage(raw);
+  if (!decoded) {
+    return { ok: false, error: new ProtocolError('bad-frame', 'Binary frame could not be decoded') };
+  }
+  return validateMessage(CLIENT_MESSAGES, decoded);
+}
+
 function toVector(value) {
   if (!Array.isArray(value) || value.length !== 3) {
     return [0, 0, 0];
   }
-  return value.map((n) => (typeof n === 'number' ? Number(n) : 0));
+  return value.map((n) => (typeof n === 'number' && Number.isFinite(n) ? n : 0));
 }
 
-function sanitizeName(name) {
+function sanitizeRoomId(roomId) {
+  if (typeof roomId !== 'string') {
+    return DEFAULT_ROOM_ID;
+  }
+  const cleaned = roomId
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9-]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 32);
+  return cleaned || DEFAULT_ROOM_ID;
+}
+
+function sanitizeRoomName(name) {
   if (typeof name !== 'string' || !name.trim()) {
-    return 'Guest';
+    return 'Campfire';
+  }
+  return name.trim().slice(0, 32);
+}
+
+function formatRoomSummary(room) {
+  let players = 0;
+  room.players.forEach((player) => {
+    if (player.ready) {
+      players += 1;
+    }
+  });
+  return {
+    id: room.id,
+    name: room.name,
+    players,
+    capacity: room.capacity,
+    locked: Boolean(room.password)
+  };
+}
+
+function createResumeToken() {
+  return randomBytes(24).toString('base64url');
+}
+
+function sanitizePassword(password) {
+  if (typeof password !== 'string' || !password) {
+    return null;
   }
-  return name.trim().slice(0, 24);
+  return password.slice(0, MAX_PASSWORD_LENGTH);
+}
+
+// scrypt takes tens of milliseconds on purpose, so it runs off the event loop.
+async function hashPassword(password) {
+  const salt = randomBytes(16);
+  return { salt, hash: await scryptAsync(password, salt, 32) };
+}
+
+async function verifyPassword(stored, password) {
+  const hash = await scryptAsync(password, stored.salt, 32);
+  return timingSafeEqual(hash, stored.hash);
+}
+
+// Names are unique within a room regardless of case; a clash gets " 2", " 3", ... appended.
+function claimName(room, name, playerId) {
+  const taken = new Set();
+  room.players.forEach((other) => {
+    if (other.id !== playerId) {
+      taken.add(other.name.toLowerCase());
+    }
+  });
+  let candidate = name;
+  for (let n = 2; taken.has(candidate.toLowerCase()); n += 1) {
+    const suffix = ` ${n}`;
+    candidate = `${name.slice(0, MAX_NAME_LENGTH - suffix.length).trimEnd()}${suffix}`;
+  }
+  return candidate;
+}
+
+// Compares digests so neither the length nor the content of the secret leaks through timing.
+function matchesSecret(supplied, secret) {
+  if (!secret || typeof supplied !== 'string') {
+    return false;
+  }
+  const digest = (value) => createHash('sha256').update(value).digest();
+  return timingSafeEqual(digest(supplied), digest(secret));
 }
 
 function formatPublicState(player) {
   return {
     id: player.id,
+    index: player.index,
     name: player.name,
     position: player.state.position,
     rotation: player.state.rotation,
     health: player.meta.health,
     alive: player.meta.alive,
+    rtt: player.meta.rtt,
+    role: player.role,
+    afk: player.afk,
     customization: player.customization || {}
   };
 }
 
-function sanitizeCustomization(customization) {
-  if (!customization || typeof customization !== 'object') {
-    return {};
-  }
-  const result = {};
-  if (typeof customization.headColor === 'string') {
-    result.headColor = customization.headColor.slice(0, 20);
-  }
-  if (typeof customization.bodyColor === 'string') {
-    result.bodyColor = customization.bodyColor.slice(0, 20);
-  }
-  if (typeof customization.clothing === 'string') {
-    result.clothing = customization.clothing.slice(0, 20);
-  }
-  // Face image can be large base64, limit it
-  if (typeof customization.faceImage === 'string' && customization.faceImage.startsWith('data:image')) {
-    // Limit to ~100KB
-    result.faceImage = customization.faceImage.slice(0, 150000);
-  }
-  return result;
-}
-
 RoomManager.prototype.handleAttack = function handleAttack(player) {
   if (!player?.meta?.alive || !player.ready) {
     return;
@@ -242,19 +908,20 @@ RoomManager.prototype.handleAttack = function handleAttack(player) {
     return;
   }
   player.meta.lastAttack = now;
-  this.broadcast(
-    {
-      type: 'attack',
-      payload: { attacker: player.id }
-    },
-    null
-  );
+  this.broadcastNearby(player, {
+    type: 'attack',
+    payload: { attacker: player.id }
+  });
 
   const attackerPos = player.state.position;
   const attackerRot = player.state.rotation;
   const forward = yawToVector(attackerRot[1] ?? 0);
+  const room = this.rooms.get(player.roomId);
+  if (!room) {
+    return;
+  }
 
-  this.players.forEach((target) => {
+  room.players.forEach((target) => {
     if (
       target.id === player.id ||
       !target.ready ||
@@ -276,6 +943,10 @@ RoomManager.prototype.handleAttack = function handleAttack(player) {
       return;
     }
     this.applyDamage(target, 1);
+    if (!target.meta.alive) {
+      this.recordStats(player, { knockouts: 1 });
+      this.recordStats(target, { knockedOut: 1 });
+    }
   });
 };
 
@@ -287,7 +958,7 @@ RoomManager.prototype.applyDamage = function applyDamage(target, amount) {
   if (target.meta.health === 0) {
     target.meta.alive = false;
   }
-  this.broadcast({
+  this.broadcast(target.roomId, {
     type: 'health-update',
     payload: {
       id: target.id,
@@ -306,6 +977,7 @@ RoomManager.prototype.handleRespawn = function handleRespawn(player) {
   const spawnPosition = [0, 1.6, 4 + Math.random() * 2];
   player.state.position = spawnPosition;
   player.state.rotation = [0, 0, 0];
+  player.movement.lastAt = Date.now();
   this.send(player.id, {
     type: 'respawned',
     payload: {
@@ -313,12 +985,143 @@ RoomManager.prototype.handleRespawn = function handleRespawn(player) {
       health: player.meta.health
     }
   });
-  this.broadcast({
+  this.broadcast(player.roomId, {
     type: 'player-respawned',
     payload: { player: formatPublicState(player) }
   });
 };
 
+/**
+ * Renames the sender or, for moderators, another player in the same room. The whole room,
+ * sender included, is told the final name since it may have been suffixed to stay unique.
+ */
+RoomManager.prototype.handleRename = function handleRename(player, { name, target }) {
+  const room = this.rooms.get(player.roomId);
+  if (!room || !player.ready) {
+    return;
+  }
+  const reject = (code, message) =>
+    this.send(player.id, toErrorMessage(new ProtocolError(code, message, 'rename')));
+
+  const forced = Boolean(target) && target !== player.id;
+  if (forced && player.role !== 'moderator') {
+    reject('forbidden', 'Only moderators can rename other players');
+    return;
+  }
+  const subject = forced ? room.players.get(target) : player;
+  if (!subject?.ready) {
+    reject('unknown-player', 'That player is not in this room');
+    return;
+  }
+  const checked = checkName(name);
+  if (checked.error) {
+    reject('invalid-name', checked.error);
+    return;
+  }
+  const claimed = claimName(room, checked.name, subject.id);
+  if (claimed === subject.name) {
+    return;
+  }
+  subject.name = claimed;
+  if (forced) {
+    console.log(`[room:${room.id}] moderator ${player.id} renamed ${subject.id}`);
+  }
+  this.broadcast(room.id, {
+    type: 'player-renamed',
+    payload: { id: subject.id, name: claimed, by: forced ? player.id : null }
+  });
+};
+
+/**
+ * Handles a chat line: lines starting with "/" go to the command registry, anything else is
+ * relayed to the whole room regardless of distance. Talking also ends an /afk.
+ */
+RoomManager.prototype.handleChat = function handleChat(player, text) {
+  const room = this.rooms.get(player.roomId);
+  const cleaned = sanitizeChat(text);
+  if (!room || !player.ready || !cleaned) {
+    return;
+  }
+  if (cleaned.startsWith('/') && this.commands.execute(this, room, player, cleaned)) {
+    return;
+  }
+  if (player.afk) {
+    this.setAway(player, false);
+  }
+  this.postChat(room, player, 'say', cleaned);
+};
+
+/**
+ * Sends a line from `player` to the room and keeps it in the room's history. Names written as
+ * @name are resolved to player ids so clients can highlight them.
+ */
+RoomManager.prototype.postChat = function postChat(room, player, kind, text) {
+  const mentions = [];
+  room.players.forEach((other) => {
+    if (other !== player && mentionsName(text, other.name)) {
+      mentions.push(other.id);
+    }
+  });
+  const entry = { kind, from: player.id, name: player.name, text, time: Date.now(), mentions };
+  room.chat.push(entry);
+  if (room.chat.length > CHAT_HISTORY_LENGTH) {
+    room.chat.shift();
+  }
+  this.broadcast(room.id, { type: 'chat', payload: entry });
+};
+
+RoomManager.prototype.sendWhisper = function sendWhisper(from, to, text) {
+  const entry = {
+    kind: 'whisper',
+    from: from.id,
+    name: from.name,
+    to: to.id,
+    toName: to.name,
+    text,
+    time: Date.now(),
+    mentions: []
+  };
+  this.send(from.id, { type: 'chat', payload: entry });
+  this.sendTo(from, to.id, { type: 'chat', payload: entry });
+};
+
+RoomManager.prototype.sendNotice = function sendNotice(player, text) {
+  this.send(player.id, { type: 'chat', payload: formatNotice(text) });
+};
+
+RoomManager.prototype.broadcastNotice = function broadcastNotice(room, text) {
+  this.broadcast(room.id, { type: 'chat', payload: formatNotice(text) });
+};
+
+RoomManager.prototype.setAway = function setAway(player, afk, message = null) {
+  player.afk = afk;
+  this.broadcast(player.roomId, {
+    type: 'player-afk',
+    payload: { id: player.id, afk, message: afk ? message : null }
+  });
+};
+
+/**
+ * Removes a player at once, without the resume grace period. The close code tells their
+ * client not to reconnect on its own.
+ */
+RoomManager.prototype.kickPlayer = function kickPlayer(target, reason = null) {
+  const { socket } = target;
+  this.removePlayer(target.id);
+  // Close reasons are limited to 123 bytes; 30 characters fit even at four bytes each.
+  socket?.close(KICKED_CLOSE_CODE, (reason ?? '').slice(0, 30));
+};
+
+// @name only counts when the name ends there, so "@Bobby" does not also mention Bob.
+function mentionsName(text, name) {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`@${escaped}(?![\\p{L}\\p{N}_])`, 'iu').test(text);
+}
+
+function formatNotice(text) {
+  return { kind: 'notice', from: null, name: null, text, time: Date.now(), mentions: [] };
+}
+
 function yawToVector(yaw) {
   const dirX = Math.sin(yaw);
   const dirZ = Math.cos(yaw);
@@ -0,0 +1,72 @@
+// Stack: Cleaning rules for player-supplied names and looks, shared by rooms and saved profiles.
+import { isFaceHash } from '../assets/avatarStore.js';
+
+export const MAX_NAME_LENGTH = 24;
+export const MAX_CHAT_LENGTH = 280;
+// Letters and digits in any script, spaces, and a little punctuation.
+const NAME_PATTERN = /^[\p{L}\p{M}\p{N} '._-]+$/u;
+const NAME_DISALLOWED = /[^\p{L}\p{M}\p{N} '._-]+/gu;
+// Control and format characters (including bidi overrides) that could garble other people's view.
+const CHAT_DISALLOWED = /[\p{Cc}\p{Cf}]+/gu;
+
+function normalizeName(name) {
+  return name.normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+// Join names are cleaned up rather than refused so a bad name never blocks entry.
+export function sanitizeName(name) {
+  if (typeof name !== 'string') {
+    return 'Guest';
+  }
+  const cleaned = normalizeName(normalizeName(name).replace(NAME_DISALLOWED, ''))
+    .slice(0, MAX_NAME_LENGTH)
+    .trim();
+  return cleaned || 'Guest';
+}
+
+// Renames are checked strictly; returns the normalised name or an error message.
+export function checkName(name) {
+  const normalized = normalizeName(name);
+  if (!normalized) {
+    return { error: 'Names cannot be empty' };
+  }
+  if (normalized.length > MAX_NAME_LENGTH) {
+    return { error: `Names can be at most ${MAX_NAME_LENGTH} characters` };
+  }
+  if (!NAME_PATTERN.test(normalized)) {
+    return { error: "Names may only use letters, numbers, spaces and ' . _ -" };
+  }
+  return { name: normalized };
+}
+
+// Chat stays on one line; returns an empty string when nothing printable is left.
+export function sanitizeChat(text) {
+  return text
+    .normalize('NFC')
+    .replace(/\s+/g, ' ')
+    .replace(CHAT_DISALLOWED, '')
+    .replace(/ {2,}/g, ' ')
+    .trim()
+    .slice(0, MAX_CHAT_LENGTH);
+}
+
+export function sanitizeCustomization(customization) {
+  if (!customization || typeof customization !== 'object') {
+    return {};
+  }
+  const result = {};
+  if (typeof customization.headColor === 'string') {
+    result.headColor = customization.headColor.slice(0, 20);
+  }
+  if (typeof customization.bodyColor === 'string') {
+    result.bodyColor = customization.bodyColor.slice(0, 20);
+  }
+  if (typeof customization.clothing === 'string') {
+    result.clothing = customization.clothing.slice(0, 20);
+  }
+  // Faces are uploaded separately (POST /api/avatars); only the content hash travels here.
+  if (isFaceHash(customization.faceHash)) {
+    result.faceHash = customization.faceHash;
+  }
+  return result;
+}
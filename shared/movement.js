@@ -0,0 +1,12 @@
+// Stack: Movement tuning shared by the first-person controller and the server's movement validator.
+
+export const MOVE_ACCELERATION = 30;
+export const MOVE_DAMPING = 8.5;
+export const GRAVITY = 28;
+export const JUMP_STRENGTH = 10;
+export const EYE_HEIGHT = 1.6;
+export const WORLD_RADIUS = 14;
+
+// Ground speed levels off where acceleration and damping cancel out.
+export const MAX_GROUND_SPEED = MOVE_ACCELERATION / MOVE_DAMPING;
+export const MAX_JUMP_HEIGHT = JUMP_STRENGTH ** 2 / (2 * GRAVITY);
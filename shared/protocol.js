@@ -0,0 +1,340 @@
+// Stack: Declared shape of every WebSocket message, checked by both the server and the browser client.
+
+// Bump whenever a message changes shape. The client announces it in `hello`; the server refuses
+// clients on any other version instead of letting the two sides misread each other.
+export const PROTOCOL_VERSION = 1;
+
+// Close code used when the handshake fails, so clients know not to retry with the same build.
+export const PROTOCOL_CLOSE_CODE = 4000;
+// Close code for a player removed by a moderator; the close reason carries their note, if any.
+export const KICKED_CLOSE_CODE = 4001;
+// Close code for a connection dropped for flooding; the client must not reconnect on its own.
+export const RATE_LIMITED_CLOSE_CODE = 4002;
+
+/**
+ * Codes carried by `error` messages:
+ * - malformed: not JSON, or no `type`
+ * - bad-frame: a binary frame that does not decode
+ * - unknown-type: `type` is not in the receiver's schema
+ * - invalid-payload: the payload does not match the schema for its type
+ * - hello-required: the first message on a connection was not `hello`
+ * - protocol-mismatch: `hello` announced a version this server does not speak
+ * - rate-limited: the client keeps sending a message type faster than its limit allows
+ * - invalid-name: a rename asked for an empty name or one with disallowed characters
+ * - forbidden: the action needs a moderator
+ * - unknown-player: the target of a moderator action is not in the sender's room
+ */
+export const FATAL_ERROR_CODES = ['hello-required', 'protocol-mismatch'];
+
+export class ProtocolError extends Error {
+  constructor(code, message, ref = null) {
+    super(message || `Protocol error: ${code}`);
+    this.name = 'ProtocolError';
+    this.code = code;
+    this.ref = ref;
+  }
+}
+
+const MAX_ARRAY_LENGTH = 256;
+
+const string = (max, extra) => ({ kind: 'string', max, ...extra });
+const number = (extra) => ({ kind: 'number', ...extra });
+const integer = (extra) => ({ kind: 'number', integer: true, ...extra });
+const boolean = () => ({ kind: 'boolean' });
+const vector3 = () => ({ kind: 'vector3' });
+const oneOf = (values) => ({ kind: 'enum', values });
+// `fields` of null accepts any plain object as-is; the receiver sanitises it further.
+const object = (fields) => ({ kind: 'object', fields });
+const arrayOf = (items, max = MAX_ARRAY_LENGTH) => ({ kind: 'array', items, max });
+const optional = (spec) => ({ ...spec, optional: true });
+const nullable = (spec) => ({ ...spec, nullable: true });
+
+const ID = string(64);
+const NO_PAYLOAD = optional(object({}));
+
+const SESSION_DESCRIPTION = object({
+  type: oneOf(['offer', 'answer', 'pranswer', 'rollback']),
+  sdp: optional(string(20000))
+});
+
+const ICE_CANDIDATE = object({
+  candidate: string(1024),
+  sdpMid: optional(nullable(string(64))),
+  sdpMLineIndex: optional(nullable(integer({ min: 0, max: 255 }))),
+  usernameFragment: optional(nullable(string(256)))
+});
+
+const ROLE = oneOf(['player', 'moderator']);
+
+const PUBLIC_PLAYER = object({
+  id: ID,
+  index: nullable(integer({ min: 0 })),
+  name: string(64),
+  position: vector3(),
+  rotation: vector3(),
+  health: number(),
+  alive: boolean(),
+  rtt: nullable(number()),
+  role: ROLE,
+  afk: boolean(),
+  customization: object(null)
+});
+
+/**
+ * Chat line kinds:
+ * - say: plain chat; emote: /me; roll: /roll result, written as "rolled ..."
+ * - whisper: private to `from` and `to`, never kept in history
+ * - notice: from the server to one player (command output and errors), with no author
+ */
+const CHAT_ENTRY = object({
+  kind: oneOf(['say', 'emote', 'roll', 'whisper', 'notice']),
+  from: nullable(ID),
+  name: nullable(string(64)),
+  to: optional(ID),
+  toName: optional(string(64)),
+  text: string(2000),
+  time: number(),
+  // Players addressed with @name, matched by the server against the names in the room.
+  mentions: arrayOf(ID)
+});
+
+const SNAPSHOT_ENTRY = object({
+  id: optional(ID),
+  index: optional(nullable(integer({ min: 0 }))),
+  position: vector3(),
+  rotation: vector3()
+});
+
+/** Messages the client may send. */
+export const CLIENT_MESSAGES = {
+  hello: object({ version: integer({ min: 0 }) }),
+  join: object({
+    name: optional(string(128)),
+    position: optional(vector3()),
+    rotation: optional(vector3()),
+    customization: optional(nullable(object(null))),
+    roomId: optional(nullable(string(64))),
+    password: optional(nullable(string(256))),
+    moderatorKey: optional(nullable(string(256))),
+    profileToken: optional(nullable(string(128))),
+    create: optional(
+      nullable(
+        object({
+          name: optional(nullable(string(128))),
+          visibility: optional(oneOf(['public', 'private'])),
+          password: optional(nullable(string(256)))
+        })
+      )
+    )
+  }),
+  'state-update': object({
+    position: vector3(),
+    rotation: vector3(),
+    ack: optional(integer({ min: 0 }))
+  }),
+  'customization-update': object({ customization: object(null) }),
+  // `target` renames someone else and is only honoured for moderators.
+  rename: object({ name: string(128), target: optional(ID) }),
+  // Longer text is cut to 280 characters by the server rather than refused.
+  chat: object({ text: string(2000) }),
+  attack: NO_PAYLOAD,
+  ping: object({ seq: integer({ min: 0 }), t: number() }),
+  respawn: NO_PAYLOAD,
+  'rtc-offer': object({ to: ID, description: SESSION_DESCRIPTION }),
+  'rtc-answer': object({ to: ID, description: SESSION_DESCRIPTION }),
+  'rtc-ice': object({ to: ID, candidate: ICE_CANDIDATE })
+};
+
+/** Messages the server may send. */
+export const SERVER_MESSAGES = {
+  welcome: object({
+    id: ID,
+    version: integer(),
+    resumeToken: string(128),
+    resumed: boolean(),
+    wire: nullable(integer())
+  }),
+  error: object({
+    code: string(64),
+    message: string(256),
+    ref: optional(nullable(string(64)))
+  }),
+  'room-state': object({
+    roomId: string(64),
+    roomName: string(128),
+    visibility: oneOf(['public', 'private']),
+    inviteCode: nullable(string(64)),
+    // The name the recipient ended up with (it may have been suffixed) and its role here.
+    you: object({ name: string(64), role: ROLE }),
+    self: optional(PUBLIC_PLAYER),
+    players: arrayOf(PUBLIC_PLAYER),
+    chat: arrayOf(CHAT_ENTRY),
+    // Slash commands the recipient may use, for autocomplete.
+    commands: arrayOf(object({ name: string(32), usage: string(64), description: string(128) }))
+  }),
+  'join-rejected': object({
+    roomId: nullable(string(64)),
+    code: string(64),
+    message: optional(string(256))
+  }),
+  'player-joined': object({ player: PUBLIC_PLAYER }),
+  'player-left': object({ id: ID }),
+  'customization-update': object({ id: ID, customization: object(null) }),
+  // `by` is the moderator who forced the rename, or null when players renamed themselves.
+  'player-renamed': object({ id: ID, name: string(64), by: nullable(ID) }),
+  chat: CHAT_ENTRY,
+  'player-afk': object({ id: ID, afk: boolean(), message: nullable(string(280)) }),
+  snapshot: object({
+    tick: integer({ min: 0 }),
+    time: number(),
+    players: arrayOf(SNAPSHOT_ENTRY)
+  }),
+  'interest-enter': object({ ids: arrayOf(ID) }),
+  'interest-leave': object({ ids: arrayOf(ID) }),
+  attack: object({ attacker: ID }),
+  'health-update': object({ id: ID, health: number(), alive: boolean() }),
+  respawned: object({ position: vector3(), health: number() }),
+  'player-respawned': object({ player: PUBLIC_PLAYER }),
+  'latency-update': object({ players: arrayOf(object({ id: ID, rtt: number() })) }),
+  pong: object({ seq: integer({ min: 0 }), t: number() }),
+  'position-correction': object({ position: vector3(), correction: integer({ min: 0 }) }),
+  'rtc-offer': object({ from: ID, description: SESSION_DESCRIPTION }),
+  'rtc-answer': object({ from: ID, description: SESSION_DESCRIPTION }),
+  'rtc-ice': object({ from: ID, candidate: ICE_CANDIDATE })
+};
+
+/**
+ * Parses a JSON text frame and validates it against `schemas`.
+ * Returns `{ ok: true, type, payload }` or `{ ok: false, error: ProtocolError }`.
+ */
+export function parseMessage(schemas, raw) {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch {
+    return { ok: false, error: new ProtocolError('malformed', 'Message is not valid JSON') };
+  }
+  return validateMessage(schemas, message);
+}
+
+/**
+ * Validates an already decoded `{ type, payload }` message. The returned payload only carries
+ * the fields the schema declares, so unexpected keys never reach a handler or a relay.
+ */
+export function validateMessage(schemas, message) {
+  if (!isPlainObject(message) || typeof message.type !== 'string') {
+    return { ok: false, error: new ProtocolError('malformed', 'Message has no type') };
+  }
+  const { type } = message;
+  if (!Object.hasOwn(schemas, type)) {
+    const ref = type.slice(0, 64);
+    return {
+      ok: false,
+      error: new ProtocolError('unknown-type', `Unknown message type "${ref}"`, ref)
+    };
+  }
+  try {
+    return { ok: true, type, payload: check(schemas[type], message.payload, 'payload') };
+  } catch (err) {
+    return {
+      ok: false,
+      error: new ProtocolError('invalid-payload', `Invalid ${type}: ${err.message}`, type)
+    };
+  }
+}
+
+export function toErrorMessage(error) {
+  return {
+    type: 'error',
+    payload: { code: error.code, message: error.message.slice(0, 256), ref: error.ref ?? null }
+  };
+}
+
+function check(spec, value, path) {
+  if (value === undefined) {
+    if (spec.optional) {
+      return undefined;
+    }
+    throw new Error(`${path} is required`);
+  }
+  if (value === null) {
+    if (spec.nullable) {
+      return null;
+    }
+    throw new Error(`${path} must not be null`);
+  }
+  switch (spec.kind) {
+    case 'string':
+      if (typeof value !== 'string' || value.length > spec.max) {
+        throw new Error(`${path} must be a string of at most ${spec.max} characters`);
+      }
+      return value;
+
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error(`${path} must be a finite number`);
+      }
+      if (spec.integer && !Number.isInteger(value)) {
+        throw new Error(`${path} must be an integer`);
+      }
+      if (
+        (spec.min !== undefined && value < spec.min) ||
+        (spec.max !== undefined && value > spec.max)
+      ) {
+        throw new Error(`${path} is out of range`);
+      }
+      return value;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        throw new Error(`${path} must be a boolean`);
+      }
+      return value;
+
+    case 'vector3':
+      if (
+        !Array.isArray(value) ||
+        value.length !== 3 ||
+        !value.every((n) => typeof n === 'number' && Number.isFinite(n))
+      ) {
+        throw new Error(`${path} must be three finite numbers`);
+      }
+      return value;
+
+    case 'enum':
+      if (!spec.values.includes(value)) {
+        throw new Error(`${path} must be one of ${spec.values.join(', ')}`);
+      }
+      return value;
+
+    case 'array':
+      if (!Array.isArray(value) || value.length > spec.max) {
+        throw new Error(`${path} must be an array of at most ${spec.max} items`);
+      }
+      return value.map((item, index) => check(spec.items, item, `${path}[${index}]`));
+
+    case 'object': {
+      if (!isPlainObject(value)) {
+        throw new Error(`${path} must be an object`);
+      }
+      if (!spec.fields) {
+        return value;
+      }
+      const result = {};
+      Object.entries(spec.fields).forEach(([key, field]) => {
+        const checked = check(field, value[key], `${path}.${key}`);
+        if (checked !== undefined) {
+          result[key] = checked;
+        }
+      });
+      return result;
+    }
+
+    default:
+      throw new Error(`${path} has an unknown schema`);
+  }
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
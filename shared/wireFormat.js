@@ -0,0 +1,170 @@
+// Stack: Binary encoding for the high-rate state-update and snapshot messages; control messages stay JSON.
+
+// Versions this build can speak, newest first. The client offers its list when it connects and
+// the server answers with the one both sides share (or null, meaning plain JSON).
+export const WIRE_VERSIONS = [1];
+
+const OP_STATE_UPDATE = 1;
+const OP_SNAPSHOT = 2;
+
+// Positions are int16 in 1/512 m steps (about ±64 m at 2 mm resolution); the courtyard is far
+// smaller. Yaw is the only rotation axis avatars use and is packed into an unsigned 16-bit turn.
+const POSITION_SCALE = 512;
+const YAW_SCALE = 65536 / (Math.PI * 2);
+
+const HEADER_BYTES = 2;
+const STATE_BYTES = HEADER_BYTES + 4 + 6 + 2;
+const SNAPSHOT_HEADER_BYTES = HEADER_BYTES + 4 + 8 + 2;
+const SNAPSHOT_ENTRY_BYTES = 2 + 6 + 2;
+
+export function negotiateWireVersion(offered) {
+  const versions = parseWireVersions(offered);
+  return WIRE_VERSIONS.find((version) => versions.includes(version)) ?? null;
+}
+
+export function formatWireVersions(versions = WIRE_VERSIONS) {
+  return versions.join(',');
+}
+
+/**
+ * `{ position, rotation, ack }` -> 14 bytes: version, opcode, ack (u32), position (3 x i16), yaw (u16).
+ */
+export function encodeStateUpdate({ position, rotation, ack }, version = WIRE_VERSIONS[0]) {
+  const buffer = new ArrayBuffer(STATE_BYTES);
+  const view = new DataView(buffer);
+  let offset = writeHeader(view, version, OP_STATE_UPDATE);
+  view.setUint32(offset, ack ?? 0, true);
+  offset = writePosition(view, offset + 4, position);
+  writeYaw(view, offset, rotation);
+  return buffer;
+}
+
+/**
+ * `{ tick, time, players: [{ index, position, rotation }] }` -> header (tick u32, time f64, count u16)
+ * followed by 10 bytes per player. Players are addressed by their short room index, not their id.
+ */
+export function encodeSnapshot({ tick, time, players }, version = WIRE_VERSIONS[0]) {
+  const buffer = new ArrayBuffer(SNAPSHOT_HEADER_BYTES + players.length * SNAPSHOT_ENTRY_BYTES);
+  const view = new DataView(buffer);
+  let offset = writeHeader(view, version, OP_SNAPSHOT);
+  view.setUint32(offset, tick, true);
+  view.setFloat64(offset + 4, time, true);
+  view.setUint16(offset + 12, players.length, true);
+  offset += 14;
+  players.forEach((player) => {
+    view.setUint16(offset, player.index, true);
+    offset = writePosition(view, offset + 2, player.position);
+    offset = writeYaw(view, offset, player.rotation);
+  });
+  return buffer;
+}
+
+/**
+ * Decodes a binary frame into the same `{ type, payload }` shape the JSON messages use.
+ * Returns null for frames from an unknown version, an unknown opcode or a truncated body.
+ */
+export function decodeMessage(data) {
+  const view = toDataView(data);
+  if (!view || view.byteLength < HEADER_BYTES || !WIRE_VERSIONS.includes(view.getUint8(0))) {
+    return null;
+  }
+  switch (view.getUint8(1)) {
+    case OP_STATE_UPDATE: {
+      if (view.byteLength !== STATE_BYTES) {
+        return null;
+      }
+      const ack = view.getUint32(HEADER_BYTES, true);
+      return {
+        type: 'state-update',
+        payload: {
+          ack: ack || undefined,
+          position: readPosition(view, HEADER_BYTES + 4),
+          rotation: readRotation(view, HEADER_BYTES + 10)
+        }
+      };
+    }
+
+    case OP_SNAPSHOT: {
+      if (view.byteLength < SNAPSHOT_HEADER_BYTES) {
+        return null;
+      }
+      const count = view.getUint16(HEADER_BYTES + 12, true);
+      if (view.byteLength !== SNAPSHOT_HEADER_BYTES + count * SNAPSHOT_ENTRY_BYTES) {
+        return null;
+      }
+      const players = [];
+      for (let i = 0, offset = SNAPSHOT_HEADER_BYTES; i < count; i += 1) {
+        players.push({
+          index: view.getUint16(offset, true),
+          position: readPosition(view, offset + 2),
+          rotation: readRotation(view, offset + 8)
+        });
+        offset += SNAPSHOT_ENTRY_BYTES;
+      }
+      return {
+        type: 'snapshot',
+        payload: {
+          tick: view.getUint32(HEADER_BYTES, true),
+          time: view.getFloat64(HEADER_BYTES + 4, true),
+          players
+        }
+      };
+    }
+
+    default:
+      return null;
+  }
+}
+
+function parseWireVersions(offered) {
+  if (typeof offered !== 'string') {
+    return [];
+  }
+  return offered
+    .split(',')
+    .map((value) => Number.parseInt(value, 10))
+    .filter(Number.isInteger);
+}
+
+function toDataView(data) {
+  if (data instanceof ArrayBuffer) {
+    return new DataView(data);
+  }
+  if (ArrayBuffer.isView(data)) {
+    return new DataView(data.buffer, data.byteOffset, data.byteLength);
+  }
+  return null;
+}
+
+function writeHeader(view, version, opcode) {
+  view.setUint8(0, version);
+  view.setUint8(1, opcode);
+  return HEADER_BYTES;
+}
+
+function writePosition(view, offset, position) {
+  for (let axis = 0; axis < 3; axis += 1) {
+    const value = Math.round((position?.[axis] ?? 0) * POSITION_SCALE);
+    view.setInt16(offset + axis * 2, Math.max(-32768, Math.min(32767, value || 0)), true);
+  }
+  return offset + 6;
+}
+
+function readPosition(view, offset) {
+  return [0, 1, 2].map((axis) => view.getInt16(offset + axis * 2, true) / POSITION_SCALE);
+}
+
+function writeYaw(view, offset, rotation) {
+  const yaw = rotation?.[1] ?? 0;
+  const turns = Math.round((Number.isFinite(yaw) ? yaw : 0) * YAW_SCALE);
+  view.setUint16(offset, ((turns % 65536) + 65536) % 65536, true);
+  return offset + 2;
+}
+
+function readRotation(view, offset) {
+  let yaw = view.getUint16(offset, true) / YAW_SCALE;
+  if (yaw > Math.PI) {
+    yaw -= Math.PI * 2;
+  }
+  return [0, yaw, 0];
+}
@@ -0,0 +1,55 @@
+// Stack: node:test coverage for the face upload endpoint's limits, run against a live server.
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PNG } from 'pngjs';
+import { startServer } from './helpers.js';
+
+let server;
+
+before(async () => {
+  // Room for one small picture and not a second.
+  server = await startServer({ AVATAR_QUOTA_MB: String(100 / (1024 * 1024)) });
+});
+
+after(async () => {
+  await server.stop();
+});
+
+function facePng(shade) {
+  const png = new PNG({ width: 1, height: 1 });
+  png.data.set([shade, shade, shade, 255]);
+  return PNG.sync.write(png);
+}
+
+function upload(body, type = 'image/png') {
+  return fetch(`http://${server.host}/api/avatars`, {
+    method: 'POST',
+    headers: { 'Content-Type': type },
+    body
+  });
+}
+
+test('an oversize upload is answered in JSON', async () => {
+  const response = await upload(Buffer.alloc(600 * 1024));
+  assert.equal(response.status, 413);
+  assert.equal((await response.json()).error, 'too-large');
+});
+
+test('new pictures are refused once the quota is used up', async () => {
+  const first = await upload(facePng(10));
+  assert.equal(first.status, 201);
+  // The same picture is already stored, so it costs nothing.
+  assert.equal((await upload(facePng(10))).status, 201);
+  const second = await upload(facePng(200));
+  assert.equal(second.status, 507);
+  assert.equal((await second.json()).error, 'storage-full');
+});
+
+test('one address cannot upload without pause', async () => {
+  let response;
+  for (let i = 0; i < 6; i += 1) {
+    response = await upload(facePng(10));
+  }
+  assert.equal(response.status, 429);
+  assert.equal((await response.json()).error, 'rate-limited');
+});
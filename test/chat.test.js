@@ -0,0 +1,49 @@
+// Stack: node:test coverage for room chat as seen by connected clients.
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, useBrowserGlobals } from './helpers.js';
+import { NetworkClient } from '../client/network/networkClient.js';
+
+let server;
+const clients = [];
+
+before(async () => {
+  server = await startServer();
+  useBrowserGlobals(server);
+});
+
+after(async () => {
+  clients.forEach((client) => client.dispose());
+  await server.stop();
+});
+
+async function joinAs(name, roomId) {
+  const client = new NetworkClient();
+  clients.push(client);
+  await client.join(roomId ? { name, roomId } : { name, create: { name: 'Chatter' } });
+  return client;
+}
+
+function nextChat(client) {
+  return new Promise((resolve) => {
+    client.addEventListener('chat', (event) => resolve(event.detail), { once: true });
+  });
+}
+
+test('@name mentions only the player whose whole name was written', async () => {
+  const alice = await joinAs('Alice');
+  const bob = await joinAs('Bob', alice.roomId);
+  const bobby = await joinAs('Bobby', alice.roomId);
+
+  let line = nextChat(alice);
+  alice.sendChat('over here @bobby');
+  assert.deepEqual((await line).mentions, [bobby.playerId]);
+
+  line = nextChat(alice);
+  alice.sendChat('@BOB, and you too @Bobby!');
+  assert.deepEqual((await line).mentions.sort(), [bob.playerId, bobby.playerId].sort());
+
+  line = nextChat(alice);
+  alice.sendChat('@Bobb is nobody');
+  assert.deepEqual((await line).mentions, []);
+});
@@ -0,0 +1,62 @@
+// Stack: node:test unit tests for the chat command registry against a recording fake manager.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCommandRegistry } from '../server/rooms/commands.js';
+
+const ROOM = { id: 'test', players: new Map() };
+const PLAYER = { id: 'p1', name: 'Ash', role: 'player' };
+
+function run(line, player = PLAYER) {
+  const said = [];
+  const manager = {
+    commands: createCommandRegistry(),
+    postChat: (_room, _player, kind, text) => said.push({ kind, text }),
+    sendNotice: (_player, text) => said.push({ kind: 'notice', text })
+  };
+  const handled = manager.commands.execute(manager, ROOM, player, line);
+  return { handled, said };
+}
+
+// "rolled 2d6+1: 9 (3 + 5 + 1)" -> { notation: '2d6+1', total: 9 }
+function readRoll(text) {
+  const match = /^rolled (\S+): (-?\d+)/.exec(text);
+  assert.ok(match, `unexpected roll line: ${text}`);
+  return { notation: match[1], total: Number(match[2]) };
+}
+
+test('/roll defaults to one six-sided die', () => {
+  for (let i = 0; i < 20; i += 1) {
+    const { said } = run('/roll');
+    assert.equal(said[0].kind, 'roll');
+    const { notation, total } = readRoll(said[0].text);
+    assert.equal(notation, '1d6');
+    assert.ok(total >= 1 && total <= 6);
+  }
+});
+
+test('/roll reads count, sides and modifier, ignoring spaces and case', () => {
+  const { said } = run('/roll 3 D 4 - 2');
+  const { notation, total } = readRoll(said[0].text);
+  assert.equal(notation, '3d4-2');
+  assert.ok(total >= 1 && total <= 10);
+  assert.match(said[0].text, /\(\d \+ \d \+ \d - 2\)$/);
+});
+
+test('/roll refuses notation outside the supported range', () => {
+  ['0d6', '21d6', '2d1', '2d1001', 'd', 'two dice', '2d6+12345', '2d6*2'].forEach((dice) => {
+    const { handled, said } = run(`/roll ${dice}`);
+    assert.equal(handled, true);
+    assert.equal(said.length, 1, dice);
+    assert.equal(said[0].kind, 'notice', dice);
+    assert.match(said[0].text, /^Usage: \/roll/);
+  });
+});
+
+test('unknown commands and commands above your role get the same answer', () => {
+  assert.match(run('/teleport').said[0].text, /^Unknown command \/teleport/);
+  assert.match(run('/kick Bob').said[0].text, /^Unknown command \/kick/);
+});
+
+test('a lone slash is not a command', () => {
+  assert.deepEqual(run('/'), { handled: false, said: [] });
+});
@@ -0,0 +1,65 @@
+// Stack: node:test coverage for how the server treats connections that stop answering pings.
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebSocket } from 'ws';
+import { startServer, useBrowserGlobals } from './helpers.js';
+import { NetworkClient } from '../client/network/networkClient.js';
+import { PROTOCOL_VERSION } from '../shared/protocol.js';
+
+const HEARTBEAT_INTERVAL_MS = 200;
+
+let server;
+const clients = [];
+
+before(async () => {
+  server = await startServer({ HEARTBEAT_INTERVAL_MS: String(HEARTBEAT_INTERVAL_MS) });
+  useBrowserGlobals(server);
+});
+
+after(async () => {
+  clients.forEach((client) => client.dispose());
+  await server.stop();
+});
+
+async function joinAs(name, roomId) {
+  const client = new NetworkClient();
+  clients.push(client);
+  await client.join(roomId ? { name, roomId } : { name, create: { name: 'Quiet' } });
+  return client;
+}
+
+function resume(token) {
+  return new Promise((resolve, reject) => {
+    const socket = new WebSocket(`ws://${server.host}/ws?resume=${encodeURIComponent(token)}`);
+    socket.on('open', () => {
+      socket.send(JSON.stringify({ type: 'hello', payload: { version: PROTOCOL_VERSION } }));
+    });
+    socket.on('message', (raw) => {
+      const message = JSON.parse(raw.toString());
+      if (message.type === 'welcome') {
+        socket.close(1000);
+        resolve(message.payload);
+      }
+    });
+    socket.on('error', reject);
+  });
+}
+
+test('a connection that stops answering pings can still be resumed', async () => {
+  const host = await joinAs('Listener');
+  const quiet = await joinAs('Quiet', host.roomId);
+  const { playerId, resumeToken } = quiet;
+  let left = false;
+  host.addEventListener('player-left', () => {
+    left = true;
+  });
+
+  // Stop reading so pongs are never sent, as on a link that dropped without a close.
+  quiet.socket._socket.pause();
+  await new Promise((resolve) => setTimeout(resolve, HEARTBEAT_INTERVAL_MS * 4));
+  assert.equal(left, false);
+
+  const welcome = await resume(resumeToken);
+  assert.equal(welcome.resumed, true);
+  assert.equal(welcome.id, playerId);
+});
@@ -0,0 +1,81 @@
+// Stack: Shared node:test helpers that run the real server in a child process on a spare port.
+import { spawn } from 'child_process';
+import { mkdtemp, rm } from 'fs/promises';
+import { createServer } from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { WebSocket } from 'ws';
+
+const SERVER_ENTRY = fileURLToPath(new URL('../server/index.js', import.meta.url));
+const START_TIMEOUT_MS = 10000;
+
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Starts the server with throwaway profile and avatar folders. Resolves to
+ * `{ host, port, stop() }` once it is listening; `stop()` ends it and deletes the folders.
+ */
+export async function startServer(env = {}) {
+  const port = await findFreePort();
+  const dataDir = await mkdtemp(path.join(os.tmpdir(), 'campfire-test-'));
+  const child = spawn(process.execPath, [SERVER_ENTRY], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      PROFILE_DIR: path.join(dataDir, 'profiles'),
+      AVATAR_DIR: path.join(dataDir, 'avatars'),
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error('Server did not start in time'));
+    }, START_TIMEOUT_MS);
+    child.stdout.on('data', (chunk) => {
+      if (chunk.toString().includes('listening')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.once('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited early (${code})`));
+    });
+  });
+  child.stdout.resume();
+
+  return {
+    host: `127.0.0.1:${port}`,
+    port,
+    async stop() {
+      if (child.exitCode === null) {
+        const exited = new Promise((resolve) => child.once('exit', resolve));
+        child.kill();
+        await exited;
+      }
+      await rm(dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * Lets the browser client modules run here: ws stands in for WebSocket and `window.location`
+ * points at the test server.
+ */
+export function useBrowserGlobals(server) {
+  globalThis.WebSocket = WebSocket;
+  globalThis.window = { location: { protocol: 'http:', host: server.host } };
+}
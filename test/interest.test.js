@@ -0,0 +1,35 @@
+// Stack: node:test unit tests for the spatial grid behind interest management.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSpatialGrid, withinRadius } from '../server/rooms/interest.js';
+
+test('withinRadius measures on the ground plane and includes the edge', () => {
+  assert.equal(withinRadius([0, 0, 0], [3, 100, 4], 5), true);
+  assert.equal(withinRadius([0, 0, 0], [3, 0, 4.01], 5), false);
+});
+
+test('a query finds items in neighbouring cells but not beyond the radius', () => {
+  const grid = createSpatialGrid(10);
+  grid.insert('here', [1, 0, 1]);
+  grid.insert('next cell', [-3, 0, 8]);
+  grid.insert('across the corner', [-7, 0, -7]);
+  grid.insert('far away', [40, 0, 0]);
+
+  const found = grid.query([0, 0, 0], 10);
+  assert.deepEqual(found.sort(), ['across the corner', 'here', 'next cell']);
+});
+
+test('a radius larger than a cell still reaches every cell it covers', () => {
+  const grid = createSpatialGrid(5);
+  grid.insert('two cells over', [12, 0, 0]);
+  grid.insert('out of reach', [0, 0, 13]);
+  assert.deepEqual(grid.query([0, 0, 0], 12), ['two cells over']);
+});
+
+test('negative coordinates land in their own cells', () => {
+  const grid = createSpatialGrid(10);
+  grid.insert('west', [-0.5, 0, 0]);
+  grid.insert('east', [0.5, 0, 0]);
+  assert.deepEqual(grid.query([-9, 0, 0], 9).sort(), ['west']);
+  assert.deepEqual(grid.query([9, 0, 0], 9).sort(), ['east']);
+});
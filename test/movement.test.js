@@ -0,0 +1,80 @@
+// Stack: node:test unit tests for the server's movement validation.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { clampToWorld, constrainMovement, createMovementState } from '../server/rooms/movement.js';
+import {
+  EYE_HEIGHT,
+  MAX_GROUND_SPEED,
+  MAX_JUMP_HEIGHT,
+  WORLD_RADIUS
+} from '../shared/movement.js';
+
+const START = 1000;
+
+function assertClose(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, message ?? `${actual} != ${expected}`);
+}
+
+test('clampToWorld leaves walkable positions alone', () => {
+  const result = clampToWorld([3, EYE_HEIGHT, -4]);
+  assert.deepEqual(result, { position: [3, EYE_HEIGHT, -4], corrected: false });
+});
+
+test('clampToWorld pulls positions back inside the world radius', () => {
+  const { position, corrected } = clampToWorld([WORLD_RADIUS * 2, EYE_HEIGHT, 0]);
+  assert.equal(corrected, true);
+  assertClose(position[0], WORLD_RADIUS);
+  assert.equal(position[2], 0);
+});
+
+test('clampToWorld keeps the eye between the ground and the top of a jump', () => {
+  assert.equal(clampToWorld([0, 0, 0]).position[1], EYE_HEIGHT);
+  const high = clampToWorld([0, 50, 0]).position[1];
+  assert.ok(high > EYE_HEIGHT + MAX_JUMP_HEIGHT && high < EYE_HEIGHT + MAX_JUMP_HEIGHT + 0.5);
+});
+
+test('clampToWorld sends garbage back to the spawn point', () => {
+  assert.deepEqual(clampToWorld([NaN, 1, 0]), { position: [0, EYE_HEIGHT, 0], corrected: true });
+});
+
+test('constrainMovement accepts a step within the distance budget', () => {
+  const movement = createMovementState(START);
+  const result = constrainMovement(movement, [0, EYE_HEIGHT, 0], [1, EYE_HEIGHT, 0], START + 100);
+  assert.deepEqual(result, { position: [1, EYE_HEIGHT, 0], corrected: false });
+});
+
+test('constrainMovement cuts a teleport short along the same heading', () => {
+  const movement = createMovementState(START);
+  const { position, corrected } = constrainMovement(
+    movement,
+    [0, EYE_HEIGHT, 0],
+    [10, EYE_HEIGHT, 0],
+    START
+  );
+  assert.equal(corrected, true);
+  assert.ok(position[0] > 0 && position[0] < 10);
+  assert.equal(position[2], 0);
+  assert.equal(movement.budget, 0);
+});
+
+test('constrainMovement refills the budget at speed but only banks a second of it', () => {
+  const movement = createMovementState(START);
+  // Spend the whole budget, then idle for a minute.
+  constrainMovement(movement, [0, EYE_HEIGHT, 0], [10, EYE_HEIGHT, 0], START);
+  const idle = constrainMovement(movement, [0, EYE_HEIGHT, 0], [0, EYE_HEIGHT, 0], START + 60000);
+  assert.equal(idle.corrected, false);
+  const banked = movement.budget;
+  assert.ok(banked >= MAX_GROUND_SPEED && banked < MAX_GROUND_SPEED * 2);
+
+  const dash = constrainMovement(movement, [0, EYE_HEIGHT, 0], [-10, EYE_HEIGHT, 0], START + 60000);
+  assert.equal(dash.corrected, true);
+  assertClose(dash.position[0], -banked);
+});
+
+test('constrainMovement keeps the player in place when the target is not a number', () => {
+  const movement = createMovementState(START);
+  const from = [2, EYE_HEIGHT, 2];
+  const result = constrainMovement(movement, from, [Infinity, EYE_HEIGHT, 0], START + 100);
+  assert.deepEqual(result, { position: from, corrected: true });
+  assert.notEqual(result.position, from);
+});
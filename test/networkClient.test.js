@@ -0,0 +1,84 @@
+// Stack: node:test coverage for NetworkClient against a live server, with ws standing in for the browser WebSocket.
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, useBrowserGlobals } from './helpers.js';
+import { JoinRejectedError, NetworkClient } from '../client/network/networkClient.js';
+
+let server;
+const clients = [];
+
+before(async () => {
+  server = await startServer();
+  useBrowserGlobals(server);
+});
+
+after(async () => {
+  clients.forEach((client) => client.dispose());
+  await server.stop();
+});
+
+function createClient() {
+  const client = new NetworkClient();
+  clients.push(client);
+  return client;
+}
+
+test('a join retried on the open socket waits for the server each time', async () => {
+  const host = createClient();
+  await host.join({ name: 'Host', create: { name: 'Locked', password: 'ember' } });
+
+  const guest = createClient();
+  await assert.rejects(
+    guest.join({ name: 'Guest', roomId: host.roomId, password: 'ash' }),
+    (error) => error instanceof JoinRejectedError && error.code === 'wrong-password'
+  );
+  // The second attempt reuses the socket; its rejection must reach the caller too.
+  await assert.rejects(
+    guest.join({ name: 'Guest', roomId: host.roomId, password: 'soot' }),
+    (error) => error instanceof JoinRejectedError && error.code === 'wrong-password'
+  );
+  assert.equal(guest.roomId, null);
+
+  const id = await guest.join({ name: 'Guest', roomId: host.roomId, password: 'ember' });
+  assert.equal(id, guest.playerId);
+  assert.equal(guest.roomId, host.roomId);
+});
+
+test('leaving closes cleanly, so the others see the player go at once', async () => {
+  const host = createClient();
+  await host.join({ name: 'Stayer', create: { name: 'Hearth' } });
+  const leaver = createClient();
+  const id = await leaver.join({ name: 'Leaver', roomId: host.roomId });
+
+  const left = new Promise((resolve) => {
+    host.addEventListener('player-left', (event) => resolve(event.detail));
+  });
+  leaver.dispose();
+  // A suspended session would only be dropped after the resume grace period.
+  const leftId = await Promise.race([
+    left,
+    new Promise((resolve) => setTimeout(resolve, 2000, null))
+  ]);
+  assert.equal(leftId, id);
+});
+
+test('a client dropped for flooding stays disconnected', { timeout: 5000 }, async () => {
+  const flooder = createClient();
+  await flooder.join({ name: 'Flooder', create: { name: 'Noisy' } });
+  let reconnecting = false;
+  flooder.addEventListener('reconnecting', () => {
+    reconnecting = true;
+  });
+  const limited = new Promise((resolve) => {
+    flooder.addEventListener('rate-limited', () => resolve(true));
+  });
+
+  const { socket } = flooder;
+  for (let i = 0; i < 60; i += 1) {
+    socket.send(JSON.stringify({ type: 'chat', payload: { text: `spam ${i}` } }));
+  }
+  assert.equal(await limited, true);
+  assert.equal(reconnecting, false);
+  assert.equal(flooder.socket, null);
+  assert.equal(flooder.playerId, null);
+});
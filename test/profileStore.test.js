@@ -0,0 +1,47 @@
+// Stack: node:test coverage for the profile store's cache, run in-process on a throwaway folder.
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createProfileStore } from '../server/profiles/profileStore.js';
+
+let dir;
+
+before(async () => {
+  dir = await mkdtemp(path.join(os.tmpdir(), 'campfire-profiles-'));
+});
+
+after(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+test('profiles evicted from the cache are read back from disk', async () => {
+  const store = createProfileStore(dir, { maxCached: 1 });
+  const first = await store.create();
+  const second = await store.create();
+
+  await store.update(first.token, { name: 'Ember' });
+  assert.equal((await store.get(second.token)).name, null);
+  assert.equal((await store.get(first.token)).name, 'Ember');
+});
+
+test('queued writes survive eviction of their profile', async () => {
+  const store = createProfileStore(dir, { maxCached: 1 });
+  const first = await store.create();
+  const second = await store.create();
+  const firstKey = store.keyFor(first.token);
+
+  // Reads of the other profile keep pushing the first out of the cache, and reads of the first
+  // would then pick up a copy from disk that misses the write still in flight.
+  const writes = [];
+  for (let i = 0; i < 20; i += 1) {
+    writes.push(store.recordStats(firstKey, { joins: 1 }));
+    writes.push(store.get(second.token));
+    writes.push(store.get(first.token));
+  }
+  await Promise.all(writes);
+
+  const reopened = createProfileStore(dir);
+  assert.equal((await reopened.get(first.token)).stats.joins, 20);
+});
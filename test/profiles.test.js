@@ -0,0 +1,26 @@
+// Stack: node:test coverage for the profile HTTP endpoints, run against a live server.
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.js';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.stop();
+});
+
+test('one address can only create a handful of profiles in a row', async () => {
+  const statuses = [];
+  for (let i = 0; i < 11; i += 1) {
+    const response = await fetch(`http://${server.host}/api/profiles`, { method: 'POST' });
+    statuses.push(response.status);
+    if (response.status === 429) {
+      assert.equal((await response.json()).error, 'rate-limited');
+    }
+  }
+  assert.deepEqual(statuses, [...Array(10).fill(201), 429]);
+});
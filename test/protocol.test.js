@@ -0,0 +1,87 @@
+// Stack: node:test unit tests for the message schemas shared by the client and the server.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CLIENT_MESSAGES,
+  ProtocolError,
+  SERVER_MESSAGES,
+  parseMessage,
+  toErrorMessage,
+  validateMessage
+} from '../shared/protocol.js';
+
+function parse(message, schemas = CLIENT_MESSAGES) {
+  return parseMessage(schemas, JSON.stringify(message));
+}
+
+test('a valid message comes back with its payload', () => {
+  const result = parse({ type: 'chat', payload: { text: 'hello' } });
+  assert.deepEqual(result, { ok: true, type: 'chat', payload: { text: 'hello' } });
+});
+
+test('undeclared fields are stripped, even deep inside the payload', () => {
+  const result = parse({
+    type: 'join',
+    payload: { name: 'Ash', isAdmin: true, create: { name: 'Hut', owner: 'someone-else' } }
+  });
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.payload, { name: 'Ash', create: { name: 'Hut' } });
+});
+
+test('text that is not JSON or has no type is malformed', () => {
+  const garbage = parseMessage(CLIENT_MESSAGES, '{nope');
+  assert.equal(garbage.ok, false);
+  assert.ok(garbage.error instanceof ProtocolError);
+  assert.equal(garbage.error.code, 'malformed');
+  assert.equal(parse({ payload: {} }).error.code, 'malformed');
+  assert.equal(parse([1, 2]).error.code, 'malformed');
+});
+
+test('types outside the schema are refused, including inherited keys', () => {
+  const unknown = parse({ type: 'teleport', payload: {} });
+  assert.equal(unknown.error.code, 'unknown-type');
+  assert.equal(unknown.error.ref, 'teleport');
+  assert.equal(parse({ type: 'toString', payload: {} }).error.code, 'unknown-type');
+});
+
+test('payloads that break the schema are invalid and name the field', () => {
+  const cases = [
+    [{ type: 'chat', payload: {} }, 'payload.text is required'],
+    [{ type: 'chat', payload: { text: 'x'.repeat(2001) } }, 'payload.text'],
+    [{ type: 'ping', payload: { seq: 1.5, t: 0 } }, 'payload.seq must be an integer'],
+    [{ type: 'ping', payload: { seq: -1, t: 0 } }, 'payload.seq is out of range'],
+    [{ type: 'state-update', payload: { position: [0, 1], rotation: [0, 0, 0] } }, 'position'],
+    [{ type: 'join', payload: { create: { visibility: 'secret' } } }, 'payload.create.visibility']
+  ];
+  cases.forEach(([message, expected]) => {
+    const result = parse(message);
+    assert.equal(result.ok, false, JSON.stringify(message));
+    assert.equal(result.error.code, 'invalid-payload');
+    assert.equal(result.error.ref, message.type);
+    assert.ok(result.error.message.includes(expected), result.error.message);
+  });
+});
+
+test('optional and nullable fields accept their empty values', () => {
+  assert.equal(parse({ type: 'attack' }).ok, true);
+  assert.equal(parse({ type: 'join', payload: { roomId: null, password: null } }).ok, true);
+  const rejected = { type: 'join-rejected', payload: { roomId: null, code: 'room-full' } };
+  assert.equal(parse(rejected, SERVER_MESSAGES).ok, true);
+  assert.equal(parse({ type: 'rename', payload: { name: null } }).ok, false);
+});
+
+test('NaN and Infinity never pass as numbers', () => {
+  const result = validateMessage(CLIENT_MESSAGES, {
+    type: 'state-update',
+    payload: { position: [0, Infinity, 0], rotation: [0, 0, 0] }
+  });
+  assert.equal(result.ok, false);
+  const ping = { type: 'ping', payload: { seq: 1, t: NaN } };
+  assert.equal(validateMessage(CLIENT_MESSAGES, ping).ok, false);
+});
+
+test('errors turn into error messages the other side can validate', () => {
+  const message = toErrorMessage(new ProtocolError('invalid-payload', 'x'.repeat(400), 'chat'));
+  assert.equal(message.payload.message.length, 256);
+  assert.equal(validateMessage(SERVER_MESSAGES, message).ok, true);
+});
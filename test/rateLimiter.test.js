@@ -0,0 +1,75 @@
+// Stack: node:test unit tests for the per-connection and per-address rate limiters.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createKeyedRateLimiter, createRateLimiter } from '../server/net/rateLimiter.js';
+
+const START = 1000;
+const LIMITS = { chat: { rate: 1, burst: 3 }, ping: { rate: 2, burst: 1 } };
+
+function checkMany(limiter, type, count, now) {
+  return Array.from({ length: count }, () => limiter.check(type, now));
+}
+
+test('a burst is allowed and the rest dropped', () => {
+  const limiter = createRateLimiter({ limits: LIMITS });
+  assert.deepEqual(checkMany(limiter, 'chat', 4, START), ['allow', 'allow', 'allow', 'drop']);
+});
+
+test('tokens refill at the configured rate, up to the burst', () => {
+  const limiter = createRateLimiter({ limits: LIMITS });
+  checkMany(limiter, 'chat', 3, START);
+  assert.equal(limiter.check('chat', START + 500), 'drop');
+  assert.equal(limiter.check('chat', START + 1500), 'allow');
+  // A long pause only refills the burst, not more.
+  const later = checkMany(limiter, 'chat', 4, START + 60000);
+  assert.deepEqual(later, ['allow', 'allow', 'allow', 'drop']);
+});
+
+test('each message type has its own bucket', () => {
+  const limiter = createRateLimiter({ limits: LIMITS });
+  checkMany(limiter, 'chat', 3, START);
+  assert.equal(limiter.check('ping', START), 'allow');
+  assert.equal(limiter.check('ping', START), 'drop');
+});
+
+test('types without a limit of their own share the default', () => {
+  const limiter = createRateLimiter({ limits: {} });
+  const verdicts = checkMany(limiter, 'mystery', 11, START);
+  assert.equal(verdicts.filter((verdict) => verdict === 'allow').length, 10);
+  assert.equal(verdicts[10], 'drop');
+});
+
+test('a flood is warned about once and then disconnected', () => {
+  const limiter = createRateLimiter({ limits: LIMITS, warnAfter: 3, disconnectAfter: 6 });
+  checkMany(limiter, 'chat', 3, START);
+  const verdicts = checkMany(limiter, 'chat', 6, START);
+  assert.deepEqual(verdicts, ['drop', 'drop', 'warn', 'drop', 'drop', 'disconnect']);
+});
+
+test('strikes are forgiven over time', () => {
+  const limiter = createRateLimiter({ limits: LIMITS, warnAfter: 3, disconnectAfter: 6 });
+  checkMany(limiter, 'chat', 3, START);
+  checkMany(limiter, 'chat', 2, START);
+  // Ten quiet seconds clear both strikes (and refill the bucket), so this is a first offence.
+  checkMany(limiter, 'chat', 3, START + 10000);
+  assert.equal(limiter.check('chat', START + 10000), 'drop');
+});
+
+test('keyed limiters give every key its own bucket', () => {
+  const limiter = createKeyedRateLimiter({ rate: 1, burst: 2 });
+  assert.equal(limiter.check('10.0.0.1', START), true);
+  assert.equal(limiter.check('10.0.0.1', START), true);
+  assert.equal(limiter.check('10.0.0.1', START), false);
+  assert.equal(limiter.check('10.0.0.2', START), true);
+  assert.equal(limiter.check('10.0.0.1', START + 1000), true);
+});
+
+test('keyed limiters forget idle keys without handing them extra tokens', () => {
+  const limiter = createKeyedRateLimiter({ rate: 1, burst: 2 });
+  limiter.check('10.0.0.1', START);
+  limiter.check('10.0.0.1', START);
+  // Long after the bucket refilled the key is swept; it comes back with a fresh burst only.
+  const later = START + 60000;
+  const verdicts = [1, 2, 3].map(() => limiter.check('10.0.0.1', later));
+  assert.deepEqual(verdicts, [true, true, false]);
+});
@@ -0,0 +1,87 @@
+// Stack: node:test coverage for room membership as seen by connected clients.
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, useBrowserGlobals } from './helpers.js';
+import { JoinRejectedError, NetworkClient } from '../client/network/networkClient.js';
+
+const SPAWN = [0, 1.6, 0];
+const FAR_AWAY = [13, 1.6, 0];
+
+let server;
+const clients = [];
+
+before(async () => {
+  server = await startServer();
+  useBrowserGlobals(server);
+});
+
+after(async () => {
+  clients.forEach((client) => client.dispose());
+  await server.stop();
+});
+
+async function joinAs(name, roomId) {
+  const client = new NetworkClient();
+  clients.push(client);
+  const place = { position: SPAWN, rotation: [0, 0, 0] };
+  const target = roomId ? { roomId } : { create: { name: 'Rejoin' } };
+  await client.join({ name, ...target, ...place });
+  return client;
+}
+
+function nextEvent(client, type, ms = 1000) {
+  return Promise.race([
+    new Promise((resolve) => {
+      client.addEventListener(type, (event) => resolve(event.detail ?? true), { once: true });
+    }),
+    new Promise((resolve) => setTimeout(resolve, ms, null))
+  ]);
+}
+
+test('joining the current room again does not move the player', async () => {
+  const walker = await joinAs('Walker');
+  await walker.join({
+    name: 'Walker',
+    roomId: walker.roomId,
+    position: FAR_AWAY,
+    rotation: [0, 0, 0]
+  });
+
+  // Still standing at the spawn point, so a step to the far spot is too long and gets corrected.
+  const correction = nextEvent(walker, 'position-correction');
+  walker.sendState({ position: FAR_AWAY, rotation: [0, 0, 0] });
+  const corrected = await correction;
+  assert.ok(corrected, 'expected a position correction');
+  assert.ok(corrected.position[0] < FAR_AWAY[0]);
+});
+
+test('joining the current room again is not announced to the others', async () => {
+  const host = await joinAs('Keeper');
+  const arrival = nextEvent(host, 'player-joined');
+  const guest = await joinAs('Visitor', host.roomId);
+  assert.ok(await arrival);
+  const announced = nextEvent(host, 'player-joined', 500);
+
+  await guest.join({ name: 'Visitor', roomId: host.roomId, position: SPAWN, rotation: [0, 0, 0] });
+  assert.equal(guest.roomId, host.roomId);
+  assert.equal(await announced, null);
+});
+
+test('password guesses are limited per address, not per connection', async () => {
+  const host = new NetworkClient();
+  clients.push(host);
+  await host.join({ name: 'Warden', create: { name: 'Vault', password: 'ember' } });
+
+  const codes = [];
+  for (let i = 0; i < 5; i += 1) {
+    const guesser = new NetworkClient();
+    clients.push(guesser);
+    const error = await guesser
+      .join({ name: 'Guesser', roomId: host.roomId, password: `guess ${i}` })
+      .catch((err) => err);
+    assert.ok(error instanceof JoinRejectedError);
+    codes.push(error.code);
+  }
+  // Creating the room spent one attempt, so the fifth guess is one too many.
+  assert.deepEqual(codes, [...Array(4).fill('wrong-password'), 'too-many-attempts']);
+});
@@ -0,0 +1,26 @@
+// Stack: node:test smoke check that the server boots with throwaway data folders and answers HTTP.
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.js';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.stop();
+});
+
+test('the server reports itself healthy', async () => {
+  const response = await fetch(`http://${server.host}/health`);
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { status: 'ok' });
+});
+
+test('the room list is served as JSON', async () => {
+  const response = await fetch(`http://${server.host}/api/rooms`);
+  assert.equal(response.status, 200);
+  assert.ok(Array.isArray((await response.json()).rooms));
+});
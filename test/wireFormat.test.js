@@ -0,0 +1,83 @@
+// Stack: node:test unit tests for the binary state-update and snapshot encoding.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  WIRE_VERSIONS,
+  decodeMessage,
+  encodeSnapshot,
+  encodeStateUpdate,
+  formatWireVersions,
+  negotiateWireVersion
+} from '../shared/wireFormat.js';
+
+// Positions travel in 1/512 m steps and yaw in 1/65536 turns.
+const POSITION_STEP = 1 / 512;
+const YAW_STEP = (Math.PI * 2) / 65536;
+
+function assertNear(actual, expected, tolerance) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${actual} is not within ${tolerance} of ${expected}`
+  );
+}
+
+test('negotiation picks a shared version or falls back to JSON', () => {
+  assert.equal(negotiateWireVersion(formatWireVersions()), WIRE_VERSIONS[0]);
+  assert.equal(negotiateWireVersion('99, 1'), 1);
+  assert.equal(negotiateWireVersion('99'), null);
+  assert.equal(negotiateWireVersion(null), null);
+});
+
+test('a state update survives a round trip within the encoding precision', () => {
+  const position = [3.1416, 1.6, -12.25];
+  const decoded = decodeMessage(encodeStateUpdate({ position, rotation: [0, -2.5, 0], ack: 7 }));
+  assert.equal(decoded.type, 'state-update');
+  assert.equal(decoded.payload.ack, 7);
+  decoded.payload.position.forEach((value, axis) => {
+    assertNear(value, position[axis], POSITION_STEP / 2);
+  });
+  assertNear(decoded.payload.rotation[1], -2.5, YAW_STEP);
+});
+
+test('a missing ack decodes as undefined and bad numbers as zero', () => {
+  const frame = encodeStateUpdate({ position: [NaN, 1, 2], rotation: [0, NaN, 0] });
+  const decoded = decodeMessage(frame);
+  assert.equal(decoded.payload.ack, undefined);
+  assert.deepEqual(decoded.payload.position, [0, 1, 2]);
+  assert.deepEqual(decoded.payload.rotation, [0, 0, 0]);
+});
+
+test('positions outside the int16 range are clamped rather than wrapped', () => {
+  const decoded = decodeMessage(encodeStateUpdate({ position: [1000, -1000, 0], rotation: [] }));
+  assert.ok(decoded.payload.position[0] > 63);
+  assert.ok(decoded.payload.position[1] < -63);
+});
+
+test('a snapshot keeps its header and every player entry', () => {
+  const snapshot = {
+    tick: 42,
+    time: 1712345678901.5,
+    players: [
+      { index: 0, position: [1, 1.6, 1], rotation: [0, 0.5, 0] },
+      { index: 9, position: [-4, 2, 6], rotation: [0, 3, 0] }
+    ]
+  };
+  const decoded = decodeMessage(new Uint8Array(encodeSnapshot(snapshot)));
+  assert.equal(decoded.type, 'snapshot');
+  assert.equal(decoded.payload.tick, 42);
+  assert.equal(decoded.payload.time, snapshot.time);
+  assert.deepEqual(decoded.payload.players.map((player) => player.index), [0, 9]);
+  assertNear(decoded.payload.players[1].rotation[1], 3, YAW_STEP);
+});
+
+test('unknown versions, opcodes and truncated frames decode to null', () => {
+  const frame = new Uint8Array(encodeStateUpdate({ position: [0, 0, 0], rotation: [0, 0, 0] }));
+  assert.equal(decodeMessage(Uint8Array.from([99, ...frame.subarray(1)])), null);
+  assert.equal(decodeMessage(Uint8Array.from([frame[0], 99, ...frame.subarray(2)])), null);
+  assert.equal(decodeMessage(frame.subarray(0, frame.length - 1)), null);
+
+  const player = { index: 1, position: [0, 0, 0], rotation: [0, 0, 0] };
+  const snapshot = new Uint8Array(encodeSnapshot({ tick: 1, time: 0, players: [player] }));
+  assert.equal(decodeMessage(snapshot.subarray(0, snapshot.length - 2)), null);
+  assert.equal(decodeMessage('not binary'), null);
+});
@@ -7,6 +7,12 @@ export default defineConfig({
     host: true,
     port: 5173,
     proxy: {
+      '/api': {
+        target: 'http://localhost:3000'
+      },
+      '/avatars': {
+        target: 'http://localhost:3000'
+      },
       '/ws': {
         target: 'http://localhost:3000',
         ws: true